@@ -45,6 +45,9 @@ module.exports = function(bookshelf) {
         return 'outsider';
       }
     },
+    // The roleDeterminer loads `admins` and `members` onto the model, so its
+    // role must be determined for every instance, not memoized.
+    memoizeRoleDeterminer: false,
     rolesToVisibleProperties: {
       admin:    [ 'id', 'name', 'admins', 'members', 'created_at' ],
       member:   [ 'id', 'name', 'admins', 'members' ],
@@ -11,12 +11,19 @@ module.exports = function(bookshelf) {
         'someoneElse';
     },
     rolesToVisibleProperties: {
-      theUserHerself: [ 'id', 'username', 'created_at', 'email', 'groupsMemberOf', 'groupsAdminOf' ],
-      someoneElse:    [ 'id', 'username', 'created_at' ]
+      theUserHerself: {
+        extends: [ 'someoneElse' ],
+        add: [ 'email', 'groupsMemberOf', 'groupsAdminOf' ]
+      },
+      someoneElse: [ 'id', 'username', 'created_at' ]
       // User models might contain other attributes like hashed_password,
       // but these won't be serialized because they are not present in these lists
       // of visible properties.
     },
+    rolesToWritableProperties: {
+      theUserHerself: [ 'username', 'email' ],
+      someoneElse:    []
+    },
 
     groupsMemberOf: function() {
       return this.belongsToMany('Group', 'group_members', 'user_id', 'group_id');
@@ -34,6 +34,12 @@ var app = express();
  *     ...
  *   ]
  * }
+ *
+ * The same payload can be requested more concisely with the `select` option:
+ *
+ * comment.toJSON({
+ *   select: 'id,content,author{username},parent{id,author{username}},children{id,author{username}}'
+ * });
  */
 app.get('/comments/:id', function(req, res) {
   bookshelf.model('Comment')
@@ -0,0 +1,170 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * @ignore
+ * @desc Returns the key by which a model is identified in the identity map:
+ * its type and id, or `undefined` if it has no id.
+ * @param {Object} model
+ * @returns {(string|undefined)}
+ */
+var getModelKey = function(model) {
+  return model.id === undefined || model.id === null ?
+    undefined :
+    model._getSerializationType() + ':' + model.id;
+};
+
+/**
+ * @ignore
+ * @desc Determines whether a serialization in progress may be awaited by a
+ * model, i.e. whether the serialization does not itself await--directly, or
+ * through other serializations--any of the serializations of which the model
+ * is a part. Otherwise awaiting it would never end.
+ * @param {Object} entry The serialization
+ * @param {Array.<Object>} ancestors The serializations of which the model is a
+ * part
+ * @returns {boolean}
+ */
+var canAwait = function(entry, ancestors) {
+  var visited = [];
+  var reachesAncestor = function(current) {
+    if (_.contains(ancestors, current)) {
+      return true;
+    }
+    if (_.contains(visited, current)) {
+      return false;
+    }
+    visited.push(current);
+    return _.some(current.awaits, reachesAncestor);
+  };
+  return !reachesAncestor(entry);
+};
+
+module.exports = {
+  /**
+   * @ignore
+   * @desc Creates the state of the `dedupe` option for a serialization: the
+   * identity map of the models reached, indexed by type and id; the
+   * serializations of models, indexed likewise; and the serializations of
+   * which each model being serialized is a part, indexed by `cid`.
+   * @returns {Object}
+   */
+  createState: function() {
+    return { models: {}, serializations: {}, ancestors: {} };
+  },
+
+  /**
+   * @ignore
+   * @desc Adds a model to the identity map, unless a model of the same type
+   * and id is already there.
+   * @param {Object} model
+   * @param {Object} state The `dedupe` state of the serialization
+   */
+  registerModel: function(model, state) {
+    var key = getModelKey(model);
+    if (key && !state.models[key]) {
+      state.models[key] = model;
+    }
+  },
+
+  /**
+   * @ignore
+   * @desc Returns the relation of a model, if it is a `belongsTo` relation whose
+   * model is already in the identity map, populated with the attributes of
+   * the model in the identity map--so that it need not be loaded.
+   * @param {Object} model
+   * @param {string} relationName The name of a relation method of the model
+   * @param {Object} state The `dedupe` state of the serialization
+   * @returns {(Object|undefined)}
+   */
+  findKnownRelation: function(model, relationName, state) {
+    var relation = model[relationName]();
+    var relatedData = relation.relatedData;
+    if (
+      relatedData.type !== 'belongsTo' ||
+      relatedData.throughTarget ||
+      relatedData.targetIdAttribute !== relation.idAttribute ||
+      relatedData.parentFk === undefined ||
+      relatedData.parentFk === null ||
+      typeof relation._getSerializationType !== 'function'
+    ) {
+      return undefined;
+    }
+
+    var known = state.models[relation._getSerializationType() + ':' + relatedData.parentFk];
+    return known ? relation.set(known.attributes) : undefined;
+  },
+
+  /**
+   * @ignore
+   * @desc Finds a serialization of a model of the same type and id as the
+   * `this` model, for the same accessor and in the same context, which the
+   * `this` model may reuse. If one is found, the serializations of which the
+   * `this` model is a part are recorded as awaiting it.
+   * @param {*} accessor
+   * @param {*} context The model's context designation, or the keys by which
+   * the options indexed by relation path were looked up for it
+   * @param {Object=} selection The model's selection, per the `select` option
+   * @param {Object} state The `dedupe` state of the serialization
+   * @returns {(Object|undefined)} The serialization, whose `result` is a
+   * promise of its result, and whose `cid` is that of the serialized model
+   */
+  findSerialization: function(accessor, context, selection, state) {
+    var ancestors = state.ancestors[this.cid] || [];
+    var entry = _.find(state.serializations[getModelKey(this)], function(entry) {
+      return entry.accessor === accessor &&
+        _.isEqual(entry.context, context) &&
+        entry.selection === selection &&
+        canAwait(entry, ancestors);
+    });
+    if (entry) {
+      _.each(ancestors, function(ancestor) {
+        ancestor.awaits.push(entry);
+      });
+    }
+    return entry;
+  },
+
+  /**
+   * @ignore
+   * @desc Records that the `this` model is being serialized for an accessor in
+   * a context, for other models of the same type and id to reuse.
+   * @param {*} accessor
+   * @param {*} context
+   * @param {Object=} selection
+   * @param {Object} state The `dedupe` state of the serialization
+   * @returns {Object} The serialization, whose `result` should be set to the
+   * promise of its result
+   */
+  recordSerialization: function(accessor, context, selection, state) {
+    var key = getModelKey(this);
+    var entry = {
+      accessor: accessor,
+      context: context,
+      selection: selection,
+      cid: this.cid,
+      result: undefined,
+      awaits: []
+    };
+    state.serializations[key] = (state.serializations[key] || []).concat([ entry ]);
+    return entry;
+  },
+
+  /**
+   * @ignore
+   * @desc Records, for the models of the relations of the `this` model, the
+   * serializations of which they are a part: those of which the `this` model
+   * is a part, and its own.
+   * @param {Object} entry The serialization of the `this` model
+   * @param {Object} state The `dedupe` state of the serialization
+   */
+  recordAncestors: function(entry, state) {
+    var ancestors = (state.ancestors[this.cid] || []).concat([ entry ]);
+    _.each(this.relations, function(relation) {
+      _.each(relation.hasOwnProperty('models') ? relation.models : [ relation ], function(model) {
+        state.ancestors[model.cid] = ancestors;
+      });
+    });
+  }
+};
@@ -8,6 +8,43 @@ module.exports = {
    * @desc Thrown when invalid arguments are provided to the plugin's methods.
    */
   BookshelfAdvancedSerializationPluginSanityError:
-    createError('BookshelfAdvancedSerializationPluginSanityError')
+    createError('BookshelfAdvancedSerializationPluginSanityError'),
+
+  /**
+   * @ignore
+   * @desc Thrown by `setFromInput` when the input contains properties that
+   * the accessor may not write. The offending property names are available
+   * as the error's `properties`.
+   */
+  BookshelfAdvancedSerializationPluginUnwritablePropertiesError:
+    createError('BookshelfAdvancedSerializationPluginUnwritablePropertiesError', { properties: [] }),
+
+  /**
+   * @ignore
+   * @desc Thrown by `toJSON` when it serializes a model with no visible
+   * properties and the `invisibleModels` option is `'throw'`. The model's
+   * table name and id are available as the error's `tableName` and `id`.
+   */
+  BookshelfAdvancedSerializationPluginInvisibleModelError:
+    createError('BookshelfAdvancedSerializationPluginInvisibleModelError'),
+
+  /**
+   * @ignore
+   * @desc Thrown by `toJSON` in strict mode when the serialization options
+   * refer to properties, relations or tables that do not exist. The name of
+   * the offending option and the offending names are available as the error's
+   * `option` and `names`.
+   */
+  BookshelfAdvancedSerializationPluginStrictModeError:
+    createError('BookshelfAdvancedSerializationPluginStrictModeError', { names: [] }),
+
+  /**
+   * @ignore
+   * @desc Thrown by `Model.optionsFromJsonApiQuery` when the query includes
+   * a relationship path that does not exist or is not allowed. The offending
+   * path is available as the error's `path`.
+   */
+  BookshelfAdvancedSerializationPluginInvalidIncludeError:
+    createError('BookshelfAdvancedSerializationPluginInvalidIncludeError')
 
 };
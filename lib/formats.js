@@ -0,0 +1,145 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * @ignore
+ * @desc Returns the type of a model in the `'jsonapi'` and `'normalized'`
+ * formats: its `serializationType`, or else its `tableName`.
+ * @param {Object} model
+ * @returns {string}
+ */
+var getType = function(model) {
+  return model.serializationType || model.tableName;
+};
+
+/**
+ * @ignore
+ * @desc Returns the JSON:API resource identifier of a model: its type and its
+ * id as a string.
+ * @param {Object} model
+ * @returns {{ type: string, id: string }}
+ */
+var getResourceIdentifier = function(model) {
+  return {
+    type: getType(model),
+    id: String(model.id)
+  };
+};
+
+module.exports = {
+  /**
+   * @ignore
+   * @desc The possible values of the `format` option.
+   */
+  FORMATS: [ 'nested', 'jsonapi', 'normalized' ],
+
+  /**
+   * @ignore
+   * @desc Returns what a model serializes to, in place of its properties, in
+   * the given format: its resource identifier in the `'jsonapi'` format, or
+   * its id in the `'normalized'` format.
+   * @param {Object} model
+   * @param {string} format Either `'jsonapi'` or `'normalized'`
+   * @returns {(Object|*)}
+   */
+  getReference: function(model, format) {
+    return format === 'jsonapi' ? getResourceIdentifier(model) : model.id;
+  },
+
+  /**
+   * @ignore
+   * @desc Records the JSON:API resource object for a serialized model in the
+   * serialization's state, merging it with the resource object already
+   * recorded for the model, if any. Properties of the serialization result
+   * that are relations of the model become relationships, whose values are
+   * the resource identifiers (or arrays of them) that the relations were
+   * serialized to; the other properties, except the id, become attributes.
+   * Relations serialized to `undefined` are left out. A model with no id--such
+   * as the empty model of a `belongsTo` relation whose foreign key is `null`
+   * (see https://github.com/tgriesser/bookshelf/issues/753)--is not recorded,
+   * and is linked to as `null`.
+   * @param {Object} model The serialized model
+   * @param {Object} result The serialization result of the model
+   * @param {Object} resources The `resources` of the serialization's state
+   * @returns {?{ type: string, id: string }} The model's resource identifier,
+   * or `null` if it has no id
+   */
+  recordResource: function(model, result, resources) {
+    if (model.id === undefined || model.id === null) {
+      return null;
+    }
+
+    var identifier = getResourceIdentifier(model);
+    var key = identifier.type + ':' + identifier.id;
+
+    var resource = resources.byKey[key];
+    if (!resource) {
+      resource = resources.byKey[key] = _.extend({}, identifier, { attributes: {}, relationships: {} });
+      resources.keys.push(key);
+    }
+
+    _.each(result, function(value, propertyName) {
+      if (_.has(model.relations, propertyName)) {
+        if (value !== undefined) {
+          resource.relationships[propertyName] = { data: value };
+        }
+      } else if (propertyName !== model.idAttribute) {
+        resource.attributes[propertyName] = value;
+      }
+    });
+
+    return identifier;
+  },
+
+  /**
+   * @ignore
+   * @desc Records the serialization result of a model as an entity in the
+   * serialization's state, indexed by the model's type and id, merging it with
+   * the entity already recorded for the model, if any--as the model may have
+   * been reached in several contexts, with different visible properties.
+   * Relations serialized to `undefined` are left out. As in `recordResource`,
+   * a model with no id is not recorded, and is referenced as `null`.
+   * @param {Object} model The serialized model
+   * @param {Object} result The serialization result of the model, whose
+   * relations have been serialized to ids
+   * @param {Object} entities The `entities` of the serialization's state
+   * @returns {*} The model's id, or `null` if it has none
+   */
+  recordEntity: function(model, result, entities) {
+    if (model.id === undefined || model.id === null) {
+      return null;
+    }
+
+    var type = getType(model);
+    entities[type] = entities[type] || {};
+    entities[type][model.id] = _.extend(entities[type][model.id] || {}, _.omit(result, _.isUndefined));
+    return model.id;
+  },
+
+  /**
+   * @ignore
+   * @desc Builds the JSON:API compound document for a serialization.
+   * @param {(Object|Array.<Object>|null|undefined)} data The resource
+   * identifier(s) that the top-level model or collection was serialized to
+   * @param {Object} resources The `resources` of the serialization's state
+   * @returns {{ data: (Object|Array.<Object>|null), included: Array.<Object> }}
+   */
+  buildJsonApiDocument: function(data, resources) {
+    var getKey = function(identifier) {
+      return identifier.type + ':' + identifier.id;
+    };
+    var getResource = function(identifier) {
+      return resources.byKey[getKey(identifier)] || identifier;
+    };
+
+    var primaryKeys = _.map(_.compact(Array.isArray(data) ? data : [ data ]), getKey);
+
+    return {
+      data: Array.isArray(data) ? _.map(data, getResource) : (data ? getResource(data) : null),
+      included: _.map(_.difference(resources.keys, primaryKeys), function(key) {
+        return resources.byKey[key];
+      })
+    };
+  }
+};
@@ -7,14 +7,34 @@
  * This module was inspired by https://github.com/tgriesser/bookshelf/pull/187.
  */
 
+var PassThrough = require('stream').PassThrough;
 var BluebirdPromise = require('bluebird');
 var _ = require('lodash');
 
 var errors = require('./errors.js');
 var SanityError = errors.BookshelfAdvancedSerializationPluginSanityError;
+var UnwritablePropertiesError = errors.BookshelfAdvancedSerializationPluginUnwritablePropertiesError;
+var InvisibleModelError = errors.BookshelfAdvancedSerializationPluginInvisibleModelError;
+var StrictModeError = errors.BookshelfAdvancedSerializationPluginStrictModeError;
+var InvalidIncludeError = errors.BookshelfAdvancedSerializationPluginInvalidIncludeError;
 
 var utils = require('./utils.js');
 var relationPromise = utils.relationPromise;
+var batchedRelationPromise = utils.batchedRelationPromise;
+var createRelationLoadGroup = utils.createRelationLoadGroup;
+var leaveRelationLoadGroups = utils.leaveRelationLoadGroups;
+var createLimiter = utils.createLimiter;
+var findRelationPathKey = utils.findRelationPathKey;
+var matchRelationPath = utils.matchRelationPath;
+var expandPropertyPatterns = utils.expandPropertyPatterns;
+var getPatternPropertyNames = utils.getPatternPropertyNames;
+
+var roles = require('./roles.js');
+var parseSelect = require('./select.js').parseSelect;
+var formats = require('./formats.js');
+var dedupe = require('./dedupe.js');
+var createLogger = require('./logger.js').createLogger;
+var streams = require('./stream.js');
 
 /**
  * @ignore
@@ -55,6 +75,472 @@ var getContextDesignation = function(contextDesignator, getEvaluatorArguments) {
   return contextDesignation;
 };
 
+/**
+ * @ignore
+ * @desc Returns `this.rolesToVisibleProperties` (or, for the `'writable'` kind,
+ * `this.rolesToWritableProperties`) with any roles that extend other
+ * roles resolved into plain arrays of properties. The resolution
+ * is done once per model class and cached on the class's constructor, so
+ * that it is not repeated every time a model is serialized.
+ * @param {string} [kind='visible'] Either `'visible'` or `'writable'`
+ * @returns {Object.<string, Array.<string>>}
+ */
+var getResolvedRolesToProperties = function(kind) {
+  kind = kind || 'visible';
+  var rolesToPropertiesName = roles.getRolesToPropertiesName(kind);
+  var cacheName = '_resolved' + rolesToPropertiesName.charAt(0).toUpperCase() + rolesToPropertiesName.slice(1);
+
+  var ModelClass = this.constructor;
+  var cache = ModelClass.hasOwnProperty(cacheName) ? ModelClass[cacheName] : undefined;
+
+  // The cache is invalidated if `rolesToVisibleProperties` is not the object
+  // that was resolved, e.g. because it was overridden on an instance.
+  if (!cache || cache.source !== this[rolesToPropertiesName]) {
+    cache = ModelClass[cacheName] = {
+      source: this[rolesToPropertiesName],
+      resolved: roles.resolveRolesToVisibleProperties(this[rolesToPropertiesName], this.tableName, kind)
+    };
+  }
+
+  return cache.resolved;
+};
+
+/**
+ * @ignore
+ * @desc Returns the names of the properties that `this.rolesToVisibleProperties`
+ * makes visible to some role.
+ * @returns {Array.<string>}
+ */
+var getRoleVisiblePropertyNames = function() {
+  var visibleProperties = _.values(getResolvedRolesToProperties.call(this, 'visible'));
+  return _.uniq(_.map(_.flatten(visibleProperties), roles.getPropertyName));
+};
+
+/**
+ * @ignore
+ * @desc The possible values of the `invisibleModels` option.
+ */
+var INVISIBLE_MODELS_MODES = [ 'omit', 'null', 'stub', 'throw' ];
+
+/**
+ * @ignore
+ * @desc Returns whether a value is a positive integer, as the `concurrency`
+ * options must be.
+ * @param {*} value
+ * @returns {boolean}
+ */
+var isPositiveInteger = function(value) {
+  return typeof value === 'number' && value > 0 && value % 1 === 0;
+};
+
+/**
+ * @ignore
+ * @desc Returns the key under which the value for the `this` model is looked
+ * up in an object indexed by model type, such as
+ * `options.contextSpecificVisibleProperties`: the model's serialization type,
+ * if the object has it, or else its `tableName`.
+ * @param {Object} indexedByType
+ * @returns {string}
+ */
+var getKeyForType = function(indexedByType) {
+  var type = this._getSerializationType();
+  return _.has(indexedByType, type) ? type : this.tableName;
+};
+
+/**
+ * @ignore
+ * @desc Looks up the value for the `this` model in an object indexed by model
+ * type, such as `options.contextSpecificVisibleProperties`. The value indexed
+ * by the model's serialization type is preferred, falling back to the value
+ * indexed by its `tableName`.
+ * @param {Object} indexedByType
+ * @returns {*}
+ */
+var getValueForType = function(indexedByType) {
+  return indexedByType[getKeyForType.call(this, indexedByType)];
+};
+
+/**
+ * @ignore
+ * @desc Returns, for the `this` model serialized without a `contextDesignator`,
+ * the keys of `options.contextSpecificVisibleProperties` and
+ * `options.ensureRelationsLoaded` that match its relation chain, which identify
+ * its context as a context designation would. A key is `undefined` if the
+ * option is not indexed by relation path for the model's type.
+ * @param {Object} options The options passed to `toJSON`
+ * @returns {Array.<(string|undefined)>}
+ */
+var getRelationPathKeys = function(options) {
+  return _.map([ options.contextSpecificVisibleProperties, options.ensureRelationsLoaded ], function(indexedByType) {
+    var indexedByPath = indexedByType && getValueForType.call(this, indexedByType);
+    return _.isPlainObject(indexedByPath) ?
+      findRelationPathKey(indexedByPath, this._accessedAsRelationChain) :
+      undefined;
+  }, this);
+};
+
+/**
+ * @ignore
+ * @desc Serializes the `this` model, which has no visible properties, according
+ * to the `invisibleModels` option. In the `'jsonapi'` format, the model is
+ * left out, as in `'omit'` mode, unless the mode is `'throw'`: an invisible
+ * resource must not appear in linkage any more than in `included`.
+ * @param {Object} options The options passed to `toJSON`
+ * @param {Object} defaultStubProperties The `stubProperties` passed as a plugin option
+ * @returns {Promise<(Object|null|undefined)>}
+ */
+var serializeInvisibleModel = function(options, defaultStubProperties) {
+  var mode = options.format === 'jsonapi' && options.invisibleModels !== 'throw' ?
+    'omit' :
+    options.invisibleModels;
+  switch (mode) {
+    case 'null':
+      return BluebirdPromise.resolve(null);
+    case 'stub':
+      var stubProperties =
+        (options.stubProperties && getValueForType.call(this, options.stubProperties)) ||
+        getValueForType.call(this, defaultStubProperties) ||
+        [ this.idAttribute ];
+      return BluebirdPromise.resolve(options.format && options.format !== 'nested' ?
+        formats.getReference(this, options.format) :
+        _.pick(this.attributes, stubProperties));
+    case 'throw':
+      return BluebirdPromise.reject(new InvisibleModelError('Model of table ' + this.tableName +
+        ' with id ' + this.id + ' has no visible properties', {
+        tableName: this.tableName,
+        id: this.id
+      }));
+    default:
+      return BluebirdPromise.resolve(undefined);
+  }
+};
+
+/**
+ * @ignore
+ * @desc Creates a shadow of a model, or of a collection's models, for
+ * serializing without mutating them. A shadow inherits from the model, but
+ * has its own copies of the model's `attributes` and `relations`, with the
+ * relations' models shadowed in turn--so that relations loaded onto the shadow,
+ * or removed from it, leave the model as it was. A shadow has the `cid` of its
+ * model, so that per-serialization state indexed by `cid` applies to both.
+ * @param {Object} modelOrCollection
+ * @returns {Object} The shadow
+ */
+var createSerializationShadow = function(modelOrCollection) {
+  var shadow = Object.create(modelOrCollection);
+
+  if (modelOrCollection.hasOwnProperty('models')) {
+    shadow.models = _.map(modelOrCollection.models, createSerializationShadow);
+    return shadow;
+  }
+
+  shadow._isSerializationShadow = true;
+  shadow.attributes = _.clone(modelOrCollection.attributes);
+  shadow.relations = _.mapValues(modelOrCollection.relations, createSerializationShadow);
+  return shadow;
+};
+
+/**
+ * @ignore
+ * @desc Returns the names of the properties present on the `this` model, i.e.
+ * its attributes and loaded relations.
+ * @returns {Array.<string>}
+ */
+var getPresentProperties = function() {
+  return _.union(_.keys(this.attributes), _.keys(this.relations));
+};
+
+/**
+ * @ignore
+ * @desc Reports the decisions made in serializing the `this` model to the
+ * `onSerializationDecision` plugin option, if it was specified, and records
+ * them in the serialization's trace, if it is being explained.
+ * @param {function=} onSerializationDecision
+ * @param {Object} decision
+ * @param {Object} serialization The `_serialization` state of the options
+ * @returns {Promise} A promise resolved once `onSerializationDecision` is done.
+ */
+var reportSerializationDecision = function(onSerializationDecision, decision, serialization) {
+  if (serialization.trace) {
+    serialization.trace[this.cid] = decision;
+  }
+
+  return onSerializationDecision ?
+    BluebirdPromise.resolve(onSerializationDecision(decision)) :
+    BluebirdPromise.resolve();
+};
+
+/**
+ * @ignore
+ * @desc Returns the trace recorded for a model or collection that has been
+ * serialized: the model's decisions, or an array of the decisions for the
+ * collection's models.
+ * @param {Object} modelOrCollection
+ * @param {Object.<string, Object>} trace The `trace` of the serialization's
+ * state, indexing decisions by model `cid`
+ * @returns {(Object|Array.<Object>|null)}
+ */
+var getTrace = function(modelOrCollection, trace) {
+  if (modelOrCollection.hasOwnProperty('models')) {
+    return _.compact(_.map(modelOrCollection.models, function(model) {
+      return trace[model.cid];
+    }));
+  }
+  return trace[modelOrCollection.cid] || null;
+};
+
+/**
+ * @ignore
+ * @desc Serializes the `this` model or collection at the top level when the
+ * result is more than what `toJSON` resolves to for each model: a document in
+ * the format given by `options.format`, and/or, with `options.explain`, the
+ * result along with its trace.
+ * @param {Object} options The options passed to `toJSON`, prepared by
+ * `beginSerialization`
+ * @returns {Promise<*>}
+ */
+var serializeTopLevel = function(options) {
+  return this.toJSON(options).bind(this).then(function(result) {
+    if (options.format === 'jsonapi') {
+      result = formats.buildJsonApiDocument(result, options._serialization.resources);
+    } else if (options.format === 'normalized') {
+      result = {
+        result: result === undefined ? null : result,
+        entities: options._serialization.entities
+      };
+    }
+
+    return options.explain ? {
+      result: result,
+      trace: getTrace(this, options._serialization.trace)
+    } : result;
+  });
+};
+
+/**
+ * @ignore
+ * @desc Evaluates, for the `this` model, the predicates on which the visibility
+ * (or writability) of properties depends.
+ * @param {Object} roleVisibility The result of `roles.getRoleVisibility`
+ * @param {Array} predicateArguments The arguments with which to call each predicate
+ * @returns {Promise<Array.<string>>} A promise resolving to the properties
+ * that have no predicates or at least one passing predicate.
+ */
+var evaluatePropertyPredicates = function(roleVisibility, predicateArguments) {
+  return BluebirdPromise.props(_.mapValues(roleVisibility.predicates, function(predicates) {
+    return BluebirdPromise.map(predicates, function(predicate) {
+      return predicate.apply(this, predicateArguments);
+    }.bind(this)).then(function(results) {
+      return _.some(results);
+    });
+  }, this)).then(function(predicateResults) {
+    return _.filter(roleVisibility.properties, function(propertyName) {
+      return !predicateResults.hasOwnProperty(propertyName) || predicateResults[propertyName];
+    });
+  });
+};
+
+/**
+ * @ignore
+ * @desc Prepares the options passed to `toJSON`. Bookshelf passes the same
+ * options object to `toJSON` for each model and collection in the tree of
+ * relations being serialized, so we use that object to carry state for the
+ * duration of one top-level serialization. When `toJSON` is called at the top
+ * level, we copy the caller's options--so that the state is not shared with
+ * other calls that happen to receive the same options object--and add the state.
+ * The `this` value is the model or collection on which `toJSON` was called.
+ * @param {Object} options The options passed to `toJSON`
+ * @param {number=} defaultConcurrency The `defaultConcurrency` plugin option
+ * @returns {Object} The options to use for serializing
+ */
+var beginSerialization = function(options, defaultConcurrency) {
+  if (options._serialization) {
+    return options;
+  }
+
+  if (options.roleCache && !_.isPlainObject(options.roleCache)) {
+    throw new SanityError('roleCache must be an object');
+  }
+
+  if (options.format && !_.contains(formats.FORMATS, options.format)) {
+    throw new SanityError('format option must be one of: ' + formats.FORMATS.join(', ') + '.');
+  }
+
+  if (options.select && (options.contextSpecificVisibleProperties || options.ensureRelationsLoaded)) {
+    throw new SanityError('select option cannot be combined with contextSpecificVisibleProperties ' +
+      'or ensureRelationsLoaded');
+  }
+
+  if (options.hasOwnProperty('concurrency') && !isPositiveInteger(options.concurrency)) {
+    throw new SanityError('concurrency option must be a positive integer');
+  }
+
+  options = _.extend({}, options);
+  options._serialization = {
+    roleCache: options.roleCache || {},
+    batchDeterminedRoles: {},
+    trace: options.explain ? {} : undefined,
+    selections: undefined,
+    resources: options.format === 'jsonapi' ? { keys: [], byKey: {} } : undefined,
+    entities: options.format === 'normalized' ? {} : undefined,
+    relationLoadBatches: [],
+    relationLoadGroups: { byCid: {}, count: 0 },
+    dedupe: options.dedupe ? dedupe.createState() : undefined,
+    limit: createLimiter(options.hasOwnProperty('concurrency') ? options.concurrency : defaultConcurrency)
+  };
+
+  // Index the selections, if any, for the models being serialized by `cid`,
+  // starting with the top-level models. The selections for their relations'
+  // models are indexed as the models are serialized.
+  if (options.select) {
+    var selection = parseSelect(options.select);
+    options._serialization.selections = {};
+    _.each(this.hasOwnProperty('models') ? this.models : [ this ], function(model) {
+      options._serialization.selections[model.cid] = selection;
+    });
+  }
+
+  return options;
+};
+
+/**
+ * @ignore
+ * @desc Prepares the options for serializing one batch of the models of a
+ * stream. The state that otherwise grows with every model serialized--the role
+ * cache (unless the caller passed one), the dedupe identity map, the
+ * selections indexed by `cid`, and the like--is started afresh for each batch,
+ * so that it does not grow with the length of the stream.
+ * @param {Object} options The options prepared by `beginSerialization` for the
+ * stream
+ * @param {Array.<Object>} models The models of the batch
+ * @returns {Object} The options to use for serializing the batch
+ */
+var beginStreamBatch = function(options, models) {
+  var serialization = options._serialization;
+  return _.extend({}, options, {
+    _serialization: _.extend({}, serialization, {
+      roleCache: options.roleCache || {},
+      batchDeterminedRoles: {},
+      selections: serialization.selections && _.pick(serialization.selections, _.pluck(models, 'cid')),
+      relationLoadBatches: [],
+      relationLoadGroups: { byCid: {}, count: 0 },
+      dedupe: options.dedupe ? dedupe.createState() : undefined
+    })
+  });
+};
+
+/**
+ * @ignore
+ * @desc Determines the role(s) of `accessor` for the `this` model. The result
+ * is cached for the duration of the serialization, keyed by the model's table
+ * and id and by the accessor, so that a model reached by several relation paths
+ * has its role determined once--unless the model opts out by setting
+ * `memoizeRoleDeterminer` to `false`.
+ * @param {*} accessor
+ * @param {Object} serialization The state of the serialization
+ * @returns {Promise<(string|Array.<string>)>}
+ */
+var determineRole = function(accessor, serialization) {
+  var batchDetermined = _.find(serialization.batchDeterminedRoles[this.cid], function(batchDeterminedRole) {
+    return batchDeterminedRole.accessor === accessor;
+  });
+  if (batchDetermined) {
+    return batchDetermined.role;
+  }
+
+  var callRoleDeterminer = function() {
+    return this.roleDeterminer(accessor);
+  }.bind(this);
+
+  if (!this.memoizeRoleDeterminer || this.id === undefined || this.id === null) {
+    return BluebirdPromise.resolve(serialization.limit(callRoleDeterminer));
+  }
+
+  var key = this._getSerializationType() + ':' + this.id;
+  var cachedRoles = serialization.roleCache[key] = serialization.roleCache[key] || [];
+  var cached = _.find(cachedRoles, function(cachedRole) {
+    return cachedRole.accessor === accessor;
+  });
+  if (!cached) {
+    cached = {
+      accessor: accessor,
+      role: BluebirdPromise.resolve(serialization.limit(callRoleDeterminer))
+    };
+    cachedRoles.push(cached);
+  }
+  return cached.role;
+};
+
+/**
+ * @ignore
+ * @desc Determines the roles of the models of a collection that is about to be
+ * serialized, using the `roleDeterminerBatch` static method of the models'
+ * class where it is defined. Models are grouped by class and accessor, and
+ * `roleDeterminerBatch` is called once per group. The roles are recorded in
+ * the state of the serialization (by model `cid`, and in the role cache for
+ * models whose roles may be memoized), where `determineRole` will find them.
+ * @param {Array.<Object>} models The models of the collection
+ * @param {Object} options The options passed to `toJSON`
+ * @returns {Promise} A promise resolved once the roles have been determined.
+ */
+var determineRolesInBatches = function(models, options) {
+  var serialization = options._serialization;
+
+  var groups = [];
+  _.each(models, function(model) {
+    var ModelClass = model.constructor;
+    if (typeof ModelClass.roleDeterminerBatch !== 'function' || (options.omitNew && model.isNew())) {
+      return;
+    }
+
+    var accessor = options.accessor || model._accessor;
+    var alreadyDetermined = _.some(serialization.batchDeterminedRoles[model.cid], function(batchDeterminedRole) {
+      return batchDeterminedRole.accessor === accessor;
+    });
+    if (alreadyDetermined) {
+      return;
+    }
+
+    var group = _.find(groups, function(group) {
+      return group.ModelClass === ModelClass && group.accessor === accessor;
+    });
+    if (!group) {
+      group = { ModelClass: ModelClass, accessor: accessor, models: [] };
+      groups.push(group);
+    }
+    group.models.push(model);
+  });
+
+  return BluebirdPromise.map(groups, function(group) {
+    var tableName = group.ModelClass.prototype.tableName;
+    var rolesPromise = BluebirdPromise.resolve(serialization.limit(function() {
+      return group.ModelClass.roleDeterminerBatch(group.models, group.accessor);
+    }));
+
+    return rolesPromise.then(function(roles) {
+      if (!Array.isArray(roles) || roles.length !== group.models.length) {
+        throw new SanityError('roleDeterminerBatch for table ' + tableName +
+          ' must return an array containing the role(s) of each model passed to it');
+      }
+
+      _.each(group.models, function(model, i) {
+        var role = BluebirdPromise.resolve(roles[i]);
+        var batchDeterminedRoles = serialization.batchDeterminedRoles[model.cid] =
+          serialization.batchDeterminedRoles[model.cid] || [];
+        batchDeterminedRoles.push({ accessor: group.accessor, role: role });
+
+        if (model.memoizeRoleDeterminer && model.id !== undefined && model.id !== null) {
+          var key = model._getSerializationType() + ':' + model.id;
+          var cachedRoles = serialization.roleCache[key] = serialization.roleCache[key] || [];
+          if (!_.some(cachedRoles, function(cachedRole) { return cachedRole.accessor === group.accessor; })) {
+            cachedRoles.push({ accessor: group.accessor, role: role });
+          }
+        }
+      });
+    });
+  });
+};
+
 /**
  * @ignore
  * @desc Performs default handling for ensuring that a relation is loaded on the
@@ -87,7 +573,10 @@ var defaultHandleEnsureRelation = function(relationName) {
  * is not already present. This option was driven by the Sequiturs use case,
  * which special-cases relation names ending in `'CountPseudoRelation'` in order to
  * set on the model a `'Count'` attribute whose value is the count of rows of the
- * relation identified by the beginning of the relation name.
+ * relation identified by the beginning of the relation name. Without this
+ * option, a relation is loaded on all the models of the same class that need
+ * it, e.g. those of a collection, with one eager query, rather than by calling
+ * `defaultHandleEnsureRelation` for each model.
  * @param {boolean} [options.ensureRelationsVisibleAndInvisible=false] A boolean
  * which should be `true` only if you have also specified `options.handleEnsureRelation`.
  * It specifies whether the plugin should, before serializing, load all relations
@@ -105,6 +594,38 @@ var defaultHandleEnsureRelation = function(relationName) {
  * (https://github.com/tgriesser/bookshelf/issues/753)--though note that the
  * plugin will address that bug even without this option or with a value of `false`,
  * albeit in a less performant manner.
+ * @param {string} [options.defaultInvisibleModels='omit'] The default value
+ * for the `invisibleModels` option to `{model,collection}.toJSON(options)`.
+ * @param {boolean} [options.defaultMutate=true] The default value for the
+ * `mutate` option to `{model,collection}.toJSON(options)`.
+ * @param {number=} options.defaultConcurrency The default value for the
+ * `concurrency` option to `{model,collection}.toJSON(options)`.
+ * @param {Object=} options.stubProperties An object indexed by table name,
+ * whose values are arrays of the properties to serialize for models with no
+ * visible properties when the `invisibleModels` option is `'stub'`. Defaults
+ * to the model's `idAttribute` for tables not listed.
+ * @param {function=} options.onSerializationDecision A function which will be
+ * called, for each model serialized by `toJSON`, with an object describing
+ * what the accessor was and was not shown--e.g. for keeping an audit log.
+ * The object has these properties: `tableName`, `id`, `relationChain` (the
+ * model's `_accessedAsRelationChain`), `accessor`, `role` (as returned by
+ * `roleDeterminer`), `contextDesignation`, `roleVisibleProperties`,
+ * `contextSpecificVisibleProperties`, `ensuredRelations` (the relations
+ * `ensureRelationsLoaded` ensured were loaded), `prunedRelations` (the loaded
+ * relations removed because they are not visible), `visible` (`false` for
+ * models with no visible properties), `visibleProperties` (the properties in
+ * the serialization result), `droppedByRole` (the model's attributes and
+ * relations not visible to the role), and `droppedByContext` (those visible to
+ * the role but not in the context-specific visible properties). May return a
+ * promise, in which case serialization waits for it.
+ * @param {Object=} options.logger An object through which the plugin reports
+ * diagnostics, with any of the methods `debug`, `info`, `warn`, and `error`.
+ * Each is called with a message and an object of structured data about the
+ * diagnostic, such as `tableName`, `relationNames`, and `relationChain`. By
+ * default, warnings and errors are written with `console.log`, unless
+ * `process.env.NODE_ENV` is `'production'`.
+ * @param {boolean=} options.strict A boolean which specifies a default value
+ * for the `strict` option to `{model,collection}.toJSON(options)`.
  *
  * @returns A function that should be passed to `bookshelf.plugin()`, to register this plugin.
  */
@@ -140,12 +661,171 @@ module.exports = function(options) {
   }
   var defaultOmitNew = options.defaultOmitNew;
 
+  if (
+    options.hasOwnProperty('defaultInvisibleModels') &&
+    !_.contains(INVISIBLE_MODELS_MODES, options.defaultInvisibleModels)
+  ) {
+    throw new SanityError('defaultInvisibleModels passed as plugin option must be one of: ' +
+      INVISIBLE_MODELS_MODES.join(', ') + '.');
+  }
+  var defaultInvisibleModels = options.defaultInvisibleModels || 'omit';
+
+  if (
+    options.hasOwnProperty('defaultMutate') &&
+    (typeof options.defaultMutate !== 'boolean')
+  ) {
+    throw new SanityError('defaultMutate passed as plugin option must be a boolean.');
+  }
+  var defaultMutate = options.hasOwnProperty('defaultMutate') ? options.defaultMutate : true;
+
+  if (options.hasOwnProperty('defaultConcurrency') && !isPositiveInteger(options.defaultConcurrency)) {
+    throw new SanityError('defaultConcurrency passed as plugin option must be a positive integer.');
+  }
+  var defaultConcurrency = options.defaultConcurrency;
+
+  if (options.stubProperties && !_.isPlainObject(options.stubProperties)) {
+    throw new SanityError('Truthy stubProperties passed as plugin option must be an object.');
+  }
+  var defaultStubProperties = options.stubProperties || {};
+
+  if (options.onSerializationDecision && typeof options.onSerializationDecision !== 'function') {
+    throw new SanityError('Truthy onSerializationDecision passed as plugin option must be a function.');
+  }
+  var onSerializationDecision = options.onSerializationDecision;
+
+  var logger = createLogger(options.logger);
+
+  if (
+    options.hasOwnProperty('strict') &&
+    (typeof options.strict !== 'boolean')
+  ) {
+    throw new SanityError('strict passed as plugin option must be a boolean.');
+  }
+  var defaultStrict = !!options.strict;
+
   return function(Bookshelf) {
     var modelProto  = Bookshelf.Model.prototype;
     var modelToJSON = modelProto.toJSON;
     var modelRelated = modelProto.related;
     var modelFetchAll = modelProto.fetchAll;
 
+    /**
+     * @ignore
+     * @desc Determines whether a model has a relation method of the given name.
+     * Methods of the plugin's Model class are never relation methods, nor are
+     * names of the model's attributes; other methods are called, without
+     * arguments, to check that they return a relation. The result is cached on
+     * the model class's constructor, so that each method is called at most once
+     * per class rather than every time a model is serialized.
+     * @param {Object} model
+     * @param {string} name
+     * @returns {boolean}
+     */
+    var isRelationMethod = function(model, name) {
+      var method = model[name];
+      if (typeof method !== 'function' || name in Model.prototype || _.has(model.attributes, name)) {
+        return false;
+      }
+
+      // Bookshelf's `extend` copies the cache to subclasses, so a cache that
+      // was not created for this very class is discarded.
+      var ModelClass = model.constructor;
+      var cache = ModelClass.hasOwnProperty('_relationMethods') ? ModelClass._relationMethods : undefined;
+      if (!cache || cache.ModelClass !== ModelClass) {
+        cache = ModelClass._relationMethods = { ModelClass: ModelClass, methods: {} };
+      }
+
+      // The cached result is only used for the same method, which differs if
+      // the method was overridden on an instance.
+      var cached = cache.methods[name];
+      if (!cached || cached.method !== method) {
+        var isRelation;
+        try {
+          var relation = model[name]();
+          isRelation = !!(relation && relation.relatedData);
+        } catch (e) {
+          isRelation = false;
+        }
+        cached = cache.methods[name] = { method: method, isRelation: isRelation };
+      }
+      return cached.isRelation;
+    };
+
+    /**
+     * @ignore
+     * @desc Matches the source of a method that builds a relation of the model.
+     */
+    var RELATION_BUILDER_PATTERN = /\bthis\.(hasOne|hasMany|belongsTo|belongsToMany|morphOne|morphMany|morphTo)\s*\(/;
+
+    /**
+     * @ignore
+     * @desc Returns the names of the relations of a model: those declared in
+     * its class's `relationNames`, or else those of its methods that take no
+     * arguments and whose source builds a relation. Only the latter are called,
+     * to check that they return a relation; other methods of the model are
+     * never called.
+     * @param {Object} model
+     * @returns {Array.<string>}
+     */
+    var getRelationNames = function(model) {
+      if (Array.isArray(model.constructor.relationNames)) {
+        return model.constructor.relationNames;
+      }
+      return _.filter(_.functions(model), function(methodName) {
+        return !(methodName in Model.prototype) &&
+          model[methodName].length === 0 &&
+          RELATION_BUILDER_PATTERN.test(Function.prototype.toString.call(model[methodName])) &&
+          isRelationMethod(model, methodName);
+      });
+    };
+
+    /**
+     * @ignore
+     * @desc Returns the names of the relations of a model that are visible to
+     * some role. Only the methods named in the model's
+     * `rolesToVisibleProperties` are checked for returning a relation; other
+     * methods of the model are never called.
+     * @param {Object} model
+     * @returns {Array.<string>}
+     */
+    var getVisibleRelationNames = function(model) {
+      return _.filter(getRoleVisiblePropertyNames.call(model), function(propertyName) {
+        return isRelationMethod(model, propertyName);
+      });
+    };
+
+    /**
+     * @ignore
+     * @desc In strict mode, checks that the keys of the options indexed by
+     * model type identify models registered with the registry plugin (or the
+     * `this` model), by serialization type, registry name or table name.
+     * Nothing is checked if the registry plugin is not in use.
+     * @param {Object} options The options passed to `toJSON`
+     * @throws {BookshelfAdvancedSerializationPluginStrictModeError}
+     */
+    var assertKnownTypes = function(options) {
+      if (!Bookshelf._models) {
+        return;
+      }
+      var knownTypes = _.union(
+        [ this._getSerializationType(), this.tableName ],
+        _.keys(Bookshelf._models),
+        _.flatten(_.map(_.values(Bookshelf._models), function(ModelClass) {
+          return [ ModelClass.prototype.serializationType, ModelClass.prototype.tableName ];
+        }))
+      );
+
+      _.each([ 'contextSpecificVisibleProperties', 'ensureRelationsLoaded' ], function(optionName) {
+        var unknownTypes = _.isPlainObject(options[optionName]) ?
+          _.difference(_.keys(options[optionName]), knownTypes) :
+          [];
+        if (unknownTypes.length) {
+          throw new StrictModeError(optionName + ' contains keys that identify no registered model: ' +
+            unknownTypes.join(', '), { option: optionName, names: unknownTypes });
+        }
+      });
+    };
+
     /**
      * @ignore
      * @class Model
@@ -202,6 +882,56 @@ module.exports = function(options) {
        */
       _accessedAsRelationChain: [],
 
+      /**
+       * @member {string}
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @instance
+       * @desc An optional name for the type of the model, by which the
+       * `contextSpecificVisibleProperties`, `ensureRelationsLoaded` and
+       * `stubProperties` options may index lists for models of this class.
+       * Useful when several model classes share a table, e.g. an `AdminUser`
+       * and a `User` view of `users`. If not specified, the type is the name
+       * with which the model class was registered with the registry plugin,
+       * if it was, or otherwise the `tableName`. Lists indexed by `tableName`
+       * are used for models whose type is not in the option.
+       */
+      serializationType: undefined,
+
+      /**
+       * @ignore
+       * @method
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @instance
+       * @desc Returns the type of the model: its `serializationType`, or the
+       * name with which its class was registered with the registry plugin, or
+       * its `tableName`. The registry name is looked up once per model class,
+       * and cached on the class, so a class must be registered before its
+       * models are serialized to be typed by its registry name.
+       * @returns {string}
+       * @private
+       */
+      _getSerializationType: function() {
+        if (this.serializationType) {
+          return this.serializationType;
+        }
+
+        var ModelClass = this.constructor;
+        var models = Bookshelf._models || {};
+        var cache = ModelClass.hasOwnProperty('_registryName') ? ModelClass._registryName : undefined;
+
+        // The cache is invalidated if the name it records no longer
+        // identifies the class, e.g. because another registry was used.
+        if (!cache || (cache.name !== undefined && models[cache.name] !== ModelClass)) {
+          cache = ModelClass._registryName = {
+            name: _.findKey(models, function(RegisteredClass) {
+              return RegisteredClass === ModelClass;
+            })
+          };
+        }
+
+        return cache.name || this.tableName;
+      },
+
       /**
        * @method
        * @memberof module:bookshelf-advanced-serialization.Model
@@ -211,12 +941,35 @@ module.exports = function(options) {
        * This role is then looked up in `rolesToVisibleProperties` to identify
        * the visible properties of the model. May return a promise--this allows
        * asynchronously determining the role.
+       *
+       * May also return an array of roles, if the accessor has several roles at
+       * once (e.g. a user who is both an `'admin'` and a `'member'` of a group).
+       * In that case the visible properties are the union of the visible
+       * properties of each of the roles.
        * @param {*} accessor `this._accessor`
-       * @returns {(string|Promise<string>)} The role or a promise resolving
-       * to the role.
+       * @returns {(string|Array.<string>|Promise<(string|Array.<string>)>)} The
+       * role(s) or a promise resolving to the role(s).
        */
       roleDeterminer: undefined,
 
+      /**
+       * @member {boolean}
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @instance
+       * @default true
+       * @desc Whether the result of `roleDeterminer` may be cached for the
+       * duration of a serialization, so that a model that is reached several
+       * times (e.g. via different relations) has its role determined only once
+       * per accessor. Models are identified for this purpose by their
+       * serialization type (see `serializationType`) and id. Set to `false` on
+       * a model class whose `roleDeterminer` depends on something other than
+       * the model's identity and the accessor, or has side effects on the
+       * model--such as loading relations onto it, which a second instance of
+       * the same model would otherwise lack.
+       * See also the `roleCache` option of `toJSON`.
+       */
+      memoizeRoleDeterminer: true,
+
       /**
        * @member {Object.<string, Array.<string>>}
        * @memberof module:bookshelf-advanced-serialization.Model
@@ -227,9 +980,144 @@ module.exports = function(options) {
        * present in the serialization result. Not all properties listed in the
        * array will necessarily be in the serialization result, however, if
        * `contextSpecificVisibleProperties` is also being used.
+       *
+       * Instead of an array, a role may be mapped to an object of the form
+       * `{ extends: ['member'], add: ['created_at'] }`, meaning that the role
+       * can see the visible properties of each of the roles in `extends`, as
+       * well as the properties in `add`. Roles are resolved, and checked for
+       * cycles, once per model class.
+       *
+       * An entry in an array of visible properties may also be an object of
+       * the form `{ property: 'email', when: function(model, accessor, contextDesignation) {...} }`,
+       * for a property whose visibility depends on the model's own data. The
+       * property is visible only if the `when` predicate returns `true` (or a
+       * promise resolving to `true`). If several of the accessor's roles list
+       * the property, it is visible if any of them lists it without a predicate,
+       * or if any of their predicates passes.
+       *
+       * @example
+       * rolesToVisibleProperties: {
+       *   member: [ 'id', 'name', 'admins', 'members' ],
+       *   admin:  { extends: [ 'member' ], add: [ 'created_at' ] }
+       * }
+       *
+       * @example
+       * rolesToVisibleProperties: {
+       *   someoneElse: [ 'id', 'username', {
+       *     property: 'email',
+       *     when: function(model) { return model.get('email_public'); }
+       *   } ]
+       * }
        */
       rolesToVisibleProperties: undefined,
 
+      /**
+       * @member {Object.<string, Object.<string, function>>}
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @instance
+       * @desc An optional object that maps a role name to an object mapping
+       * property names to transform functions. Useful for serializing a
+       * partially visible value of a property, e.g. a masked email address.
+       * A transform is called after the visible properties have been picked
+       * from the model, with the property's serialized value (for a relation,
+       * its serialization result), the model, and the accessor as arguments.
+       * It may return a promise. If the accessor has several roles, a
+       * property's value is transformed only if every one of those roles that
+       * can see the property specifies a transform for it; the transform of the
+       * first such role is used. Transforms are not inherited by roles that
+       * extend other roles.
+       *
+       * @example
+       * rolesToPropertyTransforms: {
+       *   someoneElse: {
+       *     email: function(email, model, accessor) {
+       *       return email.replace(/^(.).*@/, '$1***@');
+       *     }
+       *   }
+       * }
+       */
+      rolesToPropertyTransforms: undefined,
+
+      /**
+       * @member {Object.<string, Array.<string>>}
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @instance
+       * @desc The counterpart of `rolesToVisibleProperties` for writing: an
+       * object that maps a role name to the array of properties of the model
+       * that someone with that role may set via `setFromInput`. Supports the
+       * same forms of values and entries as `rolesToVisibleProperties`
+       * (roles that extend other roles, and `{ property, when }` entries).
+       */
+      rolesToWritableProperties: undefined,
+
+      /**
+       * @method
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @instance
+       * @desc Sets on the model the properties of `input` (e.g. a request body)
+       * that the accessor may write, according to the accessor's role(s) as
+       * determined by `roleDeterminer` and `rolesToWritableProperties`.
+       * Properties the accessor may not write are either dropped, or cause the
+       * returned promise to be rejected without setting anything.
+       * @param {Object} input The properties to set
+       * @param {Object=} options
+       * @param {*} options.accessor The accessor writing the properties. Defaults
+       * to the accessor set on the model.
+       * @param {string} [options.unwritableProperties='reject'] What to do with
+       * properties the accessor may not write: `'reject'` to reject with a
+       * `BookshelfAdvancedSerializationPluginUnwritablePropertiesError` whose
+       * `properties` lists them, or `'drop'` to ignore them.
+       * @returns {Promise<Object>} A promise resolving to the model, once the
+       * writable properties have been set.
+       */
+      setFromInput: function(input, options) {
+        options = options || {};
+
+        if (!_.isPlainObject(input)) {
+          throw new SanityError('Input passed to setFromInput must be an object');
+        }
+
+        var unwritableProperties = options.unwritableProperties || 'reject';
+        if (!_.contains([ 'reject', 'drop' ], unwritableProperties)) {
+          throw new SanityError('unwritableProperties option must be either \'reject\' or \'drop\'.');
+        }
+
+        if (typeof this.roleDeterminer !== 'function') {
+          throw new SanityError(
+            'roleDeterminer function was not defined for models of table: ' + this.tableName);
+        }
+
+        if (!_.isPlainObject(this.rolesToWritableProperties)) {
+          throw new SanityError('rolesToWritableProperties was not defined for models of table: ' + this.tableName);
+        }
+
+        var rolesToWritableProperties = getResolvedRolesToProperties.call(this, 'writable');
+
+        var accessor = options.hasOwnProperty('accessor') ? options.accessor : this._accessor;
+        return BluebirdPromise.resolve(this.roleDeterminer(accessor))
+          .bind(this)
+          .then(function(role) {
+            var accessorRoles = Array.isArray(role) ? role : [ role ];
+            var writability = roles.getRoleVisibility(accessorRoles, rolesToWritableProperties,
+              this.tableName, 'writable');
+
+            return evaluatePropertyPredicates.call(this, writability, [ this, accessor ]);
+          })
+          .then(function(writableProperties) {
+            var offendingProperties = _.difference(_.keys(input), writableProperties);
+
+            if (offendingProperties.length && unwritableProperties === 'reject') {
+              throw new UnwritablePropertiesError('Accessor may not write these properties of ' +
+                'models of table ' + this.tableName + ': ' + offendingProperties.join(', '), {
+                properties: offendingProperties
+              });
+            }
+
+            this.set(_.pick(input, writableProperties));
+            return this;
+          });
+      },
+
       /**
        * @method
        * @memberof module:bookshelf-advanced-serialization.Model
@@ -269,6 +1157,37 @@ module.exports = function(options) {
         // the model constructor for each model it puts in the collection.
       },
 
+      /**
+       * @method
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @instance
+       * @desc Fetches a collection like `fetchAll`, and serializes it to a
+       * readable stream with `Collection.toJSONStream`. The stream is returned
+       * immediately; errors in fetching are emitted on it. Note that only the
+       * serialization is streamed: the whole collection is fetched into memory
+       * first, so for tables too large for that, page through the rows and
+       * stream each page instead.
+       * @param {Object=} fetchOptions The options to pass to `fetchAll`
+       * @param {Object=} serializationOptions The options to pass to
+       * `toJSONStream`
+       * @returns {stream.Readable} A stream of the serialized collection's text
+       */
+      fetchAllStream: function(fetchOptions, serializationOptions) {
+        var result = new PassThrough();
+
+        this.fetchAll(fetchOptions).then(function(collection) {
+          var stream = collection.toJSONStream(serializationOptions);
+          stream.on('error', function(e) {
+            result.emit('error', e);
+          });
+          stream.pipe(result);
+        }).catch(function(e) {
+          result.emit('error', e);
+        });
+
+        return result;
+      },
+
       /**
        * @method
        * @memberof module:bookshelf-advanced-serialization.Model
@@ -283,12 +1202,14 @@ module.exports = function(options) {
        * name of `toJSON` alone. In using this plugin, you should therefore think of
        * `toJSON` not as merely converting the existing model to a serialized
        * form, but as *transforming* it according to your specifications,
-       * and then converting it to serialized form.
+       * and then converting it to serialized form--unless `options.mutate` is
+       * `false`.
        *
        * A model with no visible properties -- that is, where the list of properties
-       * that should be visible to the caller evaluates to empty -- will be
+       * that should be visible to the caller evaluates to empty -- will by default be
        * serialized as `undefined`, and all such models in collections will be
-       * removed from the corresponding arrays in the serialization result. (N.B. A model
+       * removed from the corresponding arrays in the serialization result. (See
+       * `options.invisibleModels` for alternatives.) (N.B. A model
        * with no visible properties is not the same as an empty model--the latter is a
        * model with no attributes and no relations. An empty model that exists as
        * a relation of another model is assumed to be due to [this Bookshelf
@@ -306,23 +1227,37 @@ module.exports = function(options) {
        * @param {Object=} options.contextSpecificVisibleProperties An optional object
        * specifying what properties of a model should be visible given the
        * application context in which `toJSON` is being invoked. The object should be
-       * indexed first by table name, with values that are either (a) an array of
+       * indexed first by model type--the model's `serializationType`, registry
+       * name, or table name--with values that are either (a) an array of
        * visible property names; or (b) an object indexed by the possible
        * context designations (i.e. the return values of `options.contextDesignator`),
-       * with values that are an array of visible property names. This object,
+       * with values that are an array of visible property names. Without
+       * `options.contextDesignator`, the keys of such an object are instead
+       * relation paths, matched against the model's `_accessedAsRelationChain`:
+       * relation names joined with `'.'`, e.g. `'children.author'`, with `''`
+       * for the top-level model, `'*'` standing for any one relation name and
+       * `'**'` for any number of them. A key equal to the path takes precedence
+       * over patterns, which are tried in the order of the keys. This object,
        * potentially in combination with `options.contextDesignator`, is your
        * mechanism for preventing infinite-looping / cycling of serialization,
-       * should your use case present that possibility.
+       * should your use case present that possibility. An array may contain
+       * `'*'`, standing for all the properties visible to the accessor's role,
+       * and property names prefixed with `'-'`, which are excluded: e.g.
+       * `['*', '-content']`. As with any array, the properties are only ever
+       * a subset of those visible to the role.
        * @param {Object=} options.ensureRelationsLoaded An optional object
        * analogous in form to `options.contextSpecificVisibleProperties` but whose
        * values are arrays containing the relation names that it will be
        * ensured are loaded on a model before serializing. Such
        * relations will be loaded on the model if they are not
-       * already present.
+       * already present. The arrays support the same patterns as
+       * `options.contextSpecificVisibleProperties`, with `'*'` standing for all
+       * the visible relations of the model.
        * @param {function=} options.contextDesignator A function which returns the
        * context designation describing the context in which `toJSON` is being
        * called. Only required if `options.contextSpecificVisibleProperties` or
-       * `options.ensureRelationsLoaded` index lists by context designation.
+       * `options.ensureRelationsLoaded` index lists by context designation
+       * rather than by relation path.
        * May return a promise--this supports asynchronously determining the
        * context designation. By default, the contextDesignator will be called with
        * `this.tableName`, `this._accessedAsRelationChain`, and `this.id`
@@ -334,6 +1269,104 @@ module.exports = function(options) {
        * model is instantiated (see `constructor`) or using `.setAccessor()`.
        * A value provided for this option takes precedence over an accessor
        * value set on the model or any related models.
+       * @param {Object=} options.roleCache An object, initially empty, in which
+       * to cache the roles determined by `roleDeterminer` (see
+       * `memoizeRoleDeterminer`). Roles are always cached for the duration of
+       * a call to `toJSON`; pass the same `roleCache` object to several calls
+       * (e.g. all calls made while handling one request) to share the cache
+       * among them. Don't share a cache between calls for which the roles of
+       * an accessor may differ.
+       * @param {string=} options.invisibleModels How to serialize models with no
+       * visible properties: `'omit'` to serialize them as `undefined` and remove
+       * them from arrays; `'null'` to serialize them as `null`; `'stub'` to
+       * serialize only their reference properties (see the `stubProperties`
+       * plugin option), regardless of visibility; or `'throw'` to reject with a
+       * `BookshelfAdvancedSerializationPluginInvisibleModelError`. In modes
+       * other than `'omit'`, such models keep their positions in arrays--except
+       * with `options.format` `'jsonapi'` (see below).
+       * Defaults to the `defaultInvisibleModels` plugin option, or `'omit'`.
+       * @param {Object=} options.stubProperties Same as the plugin option, and
+       * takes precedence over it.
+       * @param {string=} options.select An alternative to
+       * `options.contextSpecificVisibleProperties`, `options.ensureRelationsLoaded`
+       * and `options.contextDesignator` for describing the properties to
+       * serialize at each level of the tree of relations, written like a
+       * GraphQL selection: e.g. `'id,content,author{username},children{id,author{username}}'`.
+       * The properties listed for a model are its context-specific visible
+       * properties, and the relations followed by a nested selection are
+       * ensured to be loaded, with the nested selection applying to their
+       * models. The models of relations listed without a nested selection are
+       * serialized with all the properties visible to the accessor's role.
+       * Lists may contain the patterns supported in
+       * `options.contextSpecificVisibleProperties`. May not be combined with
+       * `options.contextSpecificVisibleProperties` or `options.ensureRelationsLoaded`.
+       * @param {string} [options.format='nested'] The format of the result.
+       * By default (`'nested'`), relations are nested in the objects
+       * representing the models they are relations of. With `'jsonapi'`,
+       * the promise resolves to a JSON:API compound document, whose `data` is
+       * the resource object of the model (or an array of those of the
+       * collection's models), and whose `included` contains the resource
+       * objects of the related models, each once. A resource object's `type` is
+       * the model's `serializationType`, or else its `tableName`; its
+       * `attributes` are its visible properties other than relations and its
+       * id; and its `relationships` contain the resource identifiers of its
+       * visible related models. Models with no visible properties have no
+       * resource object, and are left out of linkage and of `data` (as in the
+       * `'omit'` mode of `options.invisibleModels`, which is otherwise only
+       * respected when it is `'throw'`). With
+       * `'normalized'`, the promise resolves to an object of the form
+       * `{ result: result, entities: entities }`, where `entities` indexes the
+       * serialization results of the models by type (as in `'jsonapi'`) and id,
+       * with relations replaced by the ids of their models, and `result` is
+       * the id of the model (or an array of those of the collection's models).
+       * A model reached in several contexts has the properties visible in any
+       * of them. With `'jsonapi'` or `'normalized'`, the id of each model with
+       * visible properties must be visible to the role.
+       * @param {boolean=} options.explain Whether to explain how the result was
+       * determined. If `true`, the promise resolves to an object of the form
+       * `{ result: result, trace: trace }`, where `result` is the usual result
+       * and `trace` is the object describing the decisions made in serializing
+       * the model that is passed to the `onSerializationDecision` plugin option
+       * (see there), with an additional `relations` property mapping the names of
+       * the serialized relations to the traces of their models (arrays of
+       * traces for collections). Models serialized to `undefined` have no
+       * `relations` property.
+       * @param {boolean=} options.strict Whether to reject with a
+       * `BookshelfAdvancedSerializationPluginStrictModeError` when
+       * `contextSpecificVisibleProperties` lists a property that is neither an
+       * attribute nor a relation of the model, nor visible to any role in its
+       * `rolesToVisibleProperties`, when `ensureRelationsLoaded`
+       * lists a name that is not a relation of the model (unless the
+       * `handleEnsureRelation` plugin option is specified), or when either
+       * contains a key that does not identify a model registered with the
+       * registry plugin (see `serializationType`). Useful for catching
+       * mistakes in tests. Defaults to the `strict` plugin option.
+       * @param {boolean=} options.mutate Whether to transform the models being
+       * serialized, as described above. With `false`, the models are
+       * serialized through shadows of them, which relations are loaded onto
+       * and removed from instead, so that the models and their `relations`
+       * are left as they were--at the cost of loading again, each time, the
+       * relations that `ensureRelationsLoaded` lists and that are not already
+       * present. Defaults to the `defaultMutate` plugin option.
+       * @param {number=} options.concurrency The maximum number of calls to
+       * `roleDeterminer` (or `roleDeterminerBatch`) and of relation loads that
+       * may be in progress at a time, across the whole tree of relations being
+       * serialized. Unlimited by default, or defaults to the
+       * `defaultConcurrency` plugin option.
+       * @param {boolean=} options.dedupe Whether to avoid loading and
+       * serializing again the models reached several times in the tree of
+       * relations, assuming models of the same type and id to represent the
+       * same row. With `true`, a `belongsTo` relation listed in
+       * `ensureRelationsLoaded` whose model has already been reached is
+       * populated from that model rather than loaded (with the default
+       * `handleEnsureRelation` only; relations of other kinds, such as
+       * `belongsToMany`, are loaded as usual), and a model serialized for the same
+       * accessor in the same context (or with the same selection) as another
+       * model of the same type and id--which must memoize roles, see
+       * `memoizeRoleDeterminer`--serializes to the same result, without
+       * `onSerializationDecision` being called for it. Without a
+       * `contextDesignator`, models are in the same context if the options
+       * indexed by relation path are looked up under the same keys for them.
        * @param {boolean=} options.shallow Same as the standard Bookshelf option.
        * @param {boolean=} options.omitPivot Same as the standard Bookshelf option.
        * @param {boolean=} options.omitNew Same as the standard Bookshelf option.
@@ -342,7 +1375,11 @@ module.exports = function(options) {
        * javascript object representing the model.
        */
       toJSON: function(options) {
-        options = options || {};
+        if (options && (options.explain || options.format) && !options._serialization) {
+          return serializeTopLevel.call(this, beginSerialization.call(this, options, defaultConcurrency));
+        }
+
+        options = beginSerialization.call(this, options || {}, defaultConcurrency);
 
         // Determine value of `options.omitNew`. A value passed to `toJSON()`
         // takes priority, otherwise if a default was specified for the plugin
@@ -355,6 +1392,28 @@ module.exports = function(options) {
           // No op.
         }
 
+        // Determine value of `options.strict`, similarly.
+        if (!options.hasOwnProperty('strict')) {
+          options.strict = defaultStrict;
+        }
+
+        // Determine value of `options.invisibleModels`, similarly.
+        if (!options.hasOwnProperty('invisibleModels')) {
+          options.invisibleModels = defaultInvisibleModels;
+        } else if (!_.contains(INVISIBLE_MODELS_MODES, options.invisibleModels)) {
+          throw new SanityError('invisibleModels option must be one of: ' +
+            INVISIBLE_MODELS_MODES.join(', ') + '.');
+        }
+
+        // Determine value of `options.mutate`, similarly. When models should
+        // not be mutated, serialize a shadow of the model instead.
+        if (!options.hasOwnProperty('mutate')) {
+          options.mutate = defaultMutate;
+        }
+        if (options.mutate === false && !this._isSerializationShadow) {
+          return createSerializationShadow(this).toJSON(options);
+        }
+
         if (typeof this.roleDeterminer !== 'function') {
           throw new SanityError(
             'roleDeterminer function was not defined for models of table: ' + this.tableName);
@@ -364,6 +1423,8 @@ module.exports = function(options) {
           throw new SanityError('rolesToVisibleProperties was not defined for models of table: ' + this.tableName);
         }
 
+        var rolesToVisibleProperties = getResolvedRolesToProperties.call(this, 'visible');
+
         // If `options.omitNew=true` and the model is new, we can exit early.
         // This prevents unsaved models from being serialized, including empty
         // models created by this Bookshelf bug (https://github.com/tgriesser/bookshelf/issues/753).
@@ -372,43 +1433,96 @@ module.exports = function(options) {
         // so that we can avoid doing unnecessary work related to determining visible
         // properties and loading relations for such models.
         if (options.omitNew && this.isNew()) {
+          leaveRelationLoadGroups(this, options._serialization.relationLoadGroups);
           return BluebirdPromise.resolve(modelToJSON.call(this, options));
         }
 
+        if (options._serialization.dedupe) {
+          dedupe.registerModel(this, options._serialization.dedupe);
+        }
+
         // Determine visible properties based on role
         var accessor = options.accessor || this._accessor;
-        return BluebirdPromise.resolve(this.roleDeterminer(accessor))
+        return determineRole.call(this, accessor, options._serialization)
           .bind(this)
           .then(function(role) {
 
-            var visibleProperties = this.rolesToVisibleProperties[role];
-
-            if (!Array.isArray(visibleProperties)) {
-              throw new SanityError('rolesToVisibleProperties for table ' + this.tableName +
-                ' does not contain array of visible properties for role: ' + role);
+            if (options.strict) {
+              assertKnownTypes.call(this, options);
             }
 
-            if (!visibleProperties.length) {
-              return BluebirdPromise.resolve(undefined);
+            // The roleDeterminer may identify several roles, in which case
+            // the visible properties are the union of each role's visible properties.
+            var accessorRoles = Array.isArray(role) ? role : [ role ];
+
+            var roleVisibility = roles.getRoleVisibility(accessorRoles, rolesToVisibleProperties, this.tableName);
+
+            // Record what is decided about the model's properties, to report
+            // it to `onSerializationDecision`.
+            var decision = {
+              tableName: this.tableName,
+              id: this.id,
+              relationChain: this._accessedAsRelationChain,
+              accessor: accessor,
+              role: role,
+              contextDesignation: undefined,
+              roleVisibleProperties: [],
+              contextSpecificVisibleProperties: undefined,
+              ensuredRelations: [],
+              prunedRelations: [],
+              visible: false,
+              visibleProperties: [],
+              droppedByRole: [],
+              droppedByContext: []
+            };
+            var reportDecision = function() {
+              return reportSerializationDecision.call(this, onSerializationDecision, decision, options._serialization)
+                .bind(this);
+            }.bind(this);
+
+            if (!roleVisibility.properties.length) {
+              decision.droppedByRole = getPresentProperties.call(this);
+              return reportDecision().then(function() {
+                return serializeInvisibleModel.call(this, options, defaultStubProperties);
+              });
             }
 
             // Determine contextDesignation.
             var contextDesignationPromise = getContextDesignation.call(this,
               options ? options.contextDesignator : undefined, getEvaluatorArguments);
 
+            // Evaluate the predicates of properties whose visibility depends on
+            // the model's own data, to determine the visible properties based on role.
+            var visiblePropertiesPromise;
+            if (_.isEmpty(roleVisibility.predicates)) {
+              visiblePropertiesPromise = BluebirdPromise.resolve(roleVisibility.properties);
+            } else {
+              visiblePropertiesPromise = contextDesignationPromise.bind(this).then(function(contextDesignation) {
+                return evaluatePropertyPredicates.call(this, roleVisibility, [ this, accessor, contextDesignation ]);
+              });
+            }
+
             // Determine the properties that should be visible in final serialized result
             // based on application context in which `toJSON` is being called.
             // `contextSpecificVisibleProperties` should not be used to prune properties from
             // a model for permissions-logic-related reasons; the place for determining
             // what properties are visible for permissions reasons is in the roleDeterminer function.
+            // With the `select` option, the selection for the model determines
+            // the context-specific visible properties instead.
+            var selection = options._serialization.selections ?
+              options._serialization.selections[this.cid] :
+              undefined;
+
             var contextSpecificVisiblePropertiesPromise;
-            if (options && options.contextSpecificVisibleProperties) {
+            if (selection) {
+              contextSpecificVisiblePropertiesPromise = BluebirdPromise.resolve(selection.properties);
+            } else if (options && options.contextSpecificVisibleProperties) {
 
               if (!_.isPlainObject(options.contextSpecificVisibleProperties)) {
                 throw new SanityError('contextSpecificVisibleProperties must be an object');
               }
 
-              var tableContextSpecific = options.contextSpecificVisibleProperties[this.tableName];
+              var tableContextSpecific = getValueForType.call(this, options.contextSpecificVisibleProperties);
               if (tableContextSpecific) {
 
                 if (Array.isArray(tableContextSpecific)) {
@@ -417,27 +1531,37 @@ module.exports = function(options) {
 
                 } else if (_.isPlainObject(tableContextSpecific)) {
 
+                  // Without a contextDesignator function, the keys are
+                  // relation paths, matched against `_accessedAsRelationChain`.
                   if (!options.contextDesignator) {
-                    throw new SanityError('options must contain an contextDesignator function if ' +
-                      'options.contextSpecificVisibleProperties[this.tableName] is an object');
-                  }
+                    var pathContextSpecific = matchRelationPath(tableContextSpecific, this._accessedAsRelationChain);
+                    if (!Array.isArray(pathContextSpecific)) {
+                      throw new SanityError('contextSpecificVisibleProperties.' +
+                        getKeyForType.call(this, options.contextSpecificVisibleProperties) +
+                        ' has no key matching the relation path \'' + this._accessedAsRelationChain.join('.') +
+                        '\', and options contain no contextDesignator function');
+                    }
+                    contextSpecificVisiblePropertiesPromise = BluebirdPromise.resolve(pathContextSpecific);
 
-                  contextSpecificVisiblePropertiesPromise = contextDesignationPromise
-                    .then(function(contextDesignation) {
-                      var contextSpecificVisibleProperties = tableContextSpecific[contextDesignation];
+                  } else {
+                    contextSpecificVisiblePropertiesPromise = contextDesignationPromise.bind(this)
+                      .then(function(contextDesignation) {
+                        var contextSpecificVisibleProperties = tableContextSpecific[contextDesignation];
 
-                      if (!Array.isArray(contextSpecificVisibleProperties)) {
-                        throw new SanityError('contextDesignator function did not successfully ' +
-                          'identify array within contextSpecificVisibleProperties');
-                      }
+                        if (!Array.isArray(contextSpecificVisibleProperties)) {
+                          throw new SanityError('contextDesignator function did not successfully ' +
+                            'identify array within contextSpecificVisibleProperties');
+                        }
 
-                      return contextSpecificVisibleProperties;
-                    });
+                        return contextSpecificVisibleProperties;
+                      });
+                  }
 
                 } else {
-                  throw new SanityError('contextSpecificVisibleProperties.' + this.tableName +
+                  throw new SanityError('contextSpecificVisibleProperties.' +
+                    getKeyForType.call(this, options.contextSpecificVisibleProperties) +
                     ' must be an array, or an object whose keys are strings returned ' +
-                    'by the options.contextDesignator function and whose values are arrays.');
+                    'by the options.contextDesignator function (or relation paths) and whose values are arrays.');
                 }
 
               } else {
@@ -447,7 +1571,45 @@ module.exports = function(options) {
               contextSpecificVisiblePropertiesPromise = BluebirdPromise.resolve(undefined);
             }
 
-            return contextSpecificVisiblePropertiesPromise.bind(this).then(function(contextSpecificVisibleProperties) {
+            // Properties declared for some role are known even if the model
+            // lacks them, e.g. because it is empty or was fetched with only
+            // some columns.
+            if (options.strict) {
+              contextSpecificVisiblePropertiesPromise = contextSpecificVisiblePropertiesPromise.bind(this)
+                .tap(function(contextSpecificVisibleProperties) {
+                  var listedProperties = getPatternPropertyNames(contextSpecificVisibleProperties);
+                  var declaredProperties = getRoleVisiblePropertyNames.call(this);
+                  var unknownProperties = _.reject(listedProperties, function(propertyName) {
+                    return _.contains(declaredProperties, propertyName) ||
+                      _.has(this.attributes, propertyName) ||
+                      _.has(this.relations, propertyName) ||
+                      isRelationMethod(this, propertyName);
+                  }, this);
+                  if (unknownProperties.length) {
+                    throw new StrictModeError('contextSpecificVisibleProperties for table ' + this.tableName +
+                      ' lists properties that are neither attributes nor relations of the model: ' +
+                      unknownProperties.join(', '),
+                      { option: 'contextSpecificVisibleProperties', names: unknownProperties });
+                  }
+                });
+            }
+
+            return BluebirdPromise.join(
+              visiblePropertiesPromise,
+              contextSpecificVisiblePropertiesPromise,
+              contextDesignationPromise
+            ).bind(this).spread(function(visibleProperties, contextSpecificVisibleProperties, contextDesignation) {
+
+              // Resolve any patterns in the context-specific visible properties
+              // relative to the role-visible properties.
+              if (contextSpecificVisibleProperties) {
+                contextSpecificVisibleProperties = expandPropertyPatterns(contextSpecificVisibleProperties,
+                  visibleProperties);
+              }
+
+              decision.contextDesignation = contextDesignation;
+              decision.roleVisibleProperties = visibleProperties;
+              decision.contextSpecificVisibleProperties = contextSpecificVisibleProperties;
 
               // Determine the visible properties in the final serialization result.
               var ultimatelyVisibleProperties =
@@ -457,19 +1619,49 @@ module.exports = function(options) {
 
               // If ultimatelyVisibleProperties has zero length, we're done.
               if (!ultimatelyVisibleProperties.length) {
-                return BluebirdPromise.resolve(undefined);
+                var presentProperties = getPresentProperties.call(this);
+                decision.droppedByRole = _.difference(presentProperties, visibleProperties);
+                decision.droppedByContext = _.intersection(presentProperties, visibleProperties);
+                return reportDecision().then(function() {
+                  return serializeInvisibleModel.call(this, options, defaultStubProperties);
+                });
+              }
+
+              // With `options.dedupe`, reuse the serialization of a model of
+              // the same type and id for the same accessor in the same context,
+              // if there is one--or else record this one, for others to reuse.
+              // Without a contextDesignator, the context is that of the
+              // relation paths by which the options are looked up.
+              var dedupeState = options._serialization.dedupe;
+              var dedupeEntry;
+              if (dedupeState && this.memoizeRoleDeterminer && this.id !== undefined && this.id !== null) {
+                var dedupeContext = options.contextDesignator ?
+                  contextDesignation :
+                  getRelationPathKeys.call(this, options);
+                var deduped = dedupe.findSerialization.call(this, accessor, dedupeContext, selection, dedupeState);
+                if (deduped) {
+                  leaveRelationLoadGroups(this, options._serialization.relationLoadGroups);
+                  return deduped.result.bind(this).tap(function() {
+                    if (options._serialization.trace) {
+                      options._serialization.trace[this.cid] = options._serialization.trace[deduped.cid];
+                    }
+                  });
+                }
+                dedupeEntry = dedupe.recordSerialization.call(this, accessor, dedupeContext, selection, dedupeState);
               }
 
               // Load relations that should be loaded before serializing the model.
 
-              var ensureRelationsPromise;
+              var relationNamesToEnsurePromise;
               if (_.isPlainObject(this.attributes) && _.isEmpty(this.attributes)) {
                 // If `this` model is empty, it must be due to this Bookshelf bug
                 // (https://github.com/tgriesser/bookshelf/issues/753); we should never
                 // have empty models. So in this case, don't worry about ensuring relations
                 // are loaded for the model.
 
-                ensureRelationsPromise = BluebirdPromise.resolve(undefined);
+              } else if (selection) {
+
+                relationNamesToEnsurePromise = BluebirdPromise.resolve(_.keys(selection.relations));
 
               } else if (options && options.ensureRelationsLoaded) {
 
@@ -477,11 +1669,7 @@ module.exports = function(options) {
                   throw new SanityError('ensureRelationsLoaded must be an object');
                 }
 
-                var tableContextEnsureRelations = options.ensureRelationsLoaded[this.tableName];
-                // Bookshelf provides no way to identify a model's type except by looking at its
-                // `tableName`. We can't, for instance, access the name with which
-                // the model class was registered with the registry.
-                var relationNamesToEnsurePromise;
+                var tableContextEnsureRelations = getValueForType.call(this, options.ensureRelationsLoaded);
                 if (tableContextEnsureRelations) {
                   if (Array.isArray(tableContextEnsureRelations)) {
 
@@ -489,66 +1677,151 @@ module.exports = function(options) {
 
                   } else if (_.isPlainObject(tableContextEnsureRelations)) {
 
+                    // Without a contextDesignator function, the keys are
+                    // relation paths, as in `contextSpecificVisibleProperties`.
                     if (!options.contextDesignator) {
-                      throw new SanityError('options must contain an contextDesignator function if ' +
-                        'options.ensureRelationsLoaded[this.tableName] is an object');
-                    }
+                      var pathRelationNames = matchRelationPath(tableContextEnsureRelations,
+                        this._accessedAsRelationChain);
+                      if (!Array.isArray(pathRelationNames)) {
+                        throw new SanityError('ensureRelationsLoaded.' +
+                          getKeyForType.call(this, options.ensureRelationsLoaded) +
+                          ' has no key matching the relation path \'' + this._accessedAsRelationChain.join('.') +
+                          '\', and options contain no contextDesignator function');
+                      }
+                      relationNamesToEnsurePromise = BluebirdPromise.resolve(pathRelationNames);
 
-                    relationNamesToEnsurePromise = contextDesignationPromise
-                      .then(function(contextDesignation) {
-                        var relationNames = tableContextEnsureRelations[contextDesignation];
+                    } else {
+                      relationNamesToEnsurePromise = contextDesignationPromise.bind(this)
+                        .then(function(contextDesignation) {
+                          var relationNames = tableContextEnsureRelations[contextDesignation];
 
-                        if (!Array.isArray(relationNames)) {
-                          throw new SanityError('contextDesignator function did not successfully ' +
-                            'identify array within ensureRelationsLoaded');
-                        }
+                          if (!Array.isArray(relationNames)) {
+                            throw new SanityError('contextDesignator function did not successfully ' +
+                              'identify array within ensureRelationsLoaded');
+                          }
 
-                        return relationNames;
-                      });
+                          return relationNames;
+                        });
+                    }
 
                   } else {
-                    throw new SanityError('ensureRelationsLoaded.' + this.tableName +
+                    throw new SanityError('ensureRelationsLoaded.' +
+                      getKeyForType.call(this, options.ensureRelationsLoaded) +
                       ' must be an array, or an object whose keys are strings returned ' +
-                      'by the options.contextDesignator function and whose values are arrays.');
+                      'by the options.contextDesignator function (or relation paths) and whose values are arrays.');
                   }
+                }
+              }
 
-                  ensureRelationsPromise = relationNamesToEnsurePromise.bind(this)
-                    .then(function(relationNamesToEnsure) {
-
-                      // Load only those relationNamesToEnsure that are also in
-                      // ultimatelyVisibleProperties, to avoid unnecessary work --
-                      // unless caller has opted to force loading all relationNamesToEnsure.
-
-                      var loadTheseRelations = ensureRelationsVisibleAndInvisible ?
-                        relationNamesToEnsure :
-                        _.intersection(relationNamesToEnsure, ultimatelyVisibleProperties);
-
-                      if (process.env.NODE_ENV !== 'production') {
-                        if (loadTheseRelations.length !== relationNamesToEnsure.length) {
-                          console.log(
-                            'bookshelf-advanced-serialization plugin: You have ' +
-                            'specified relation names in `ensureRelationsLoaded` ' +
-                            'which are not visible properties: ' +
-                            _.difference(relationNamesToEnsure, loadTheseRelations) +
-                            '. These relations will ' +
-                            (ensureRelationsVisibleAndInvisible ? 'nevertheless' : 'not') +
-                            ' be loaded, because option ensureRelationsVisibleAndInvisible is `' +
-                            ensureRelationsVisibleAndInvisible + '`.'
-                          );
+              var ensureRelationsPromise = !relationNamesToEnsurePromise ?
+                BluebirdPromise.resolve(undefined) :
+                relationNamesToEnsurePromise.bind(this).then(function(relationNamesToEnsure) {
+
+                  // Resolve any patterns, `'*'` standing for the visible relations.
+                  var listedRelationNames = getPatternPropertyNames(relationNamesToEnsure);
+                  var visibleRelationNames = _.contains(relationNamesToEnsure, '*') ?
+                    _.filter(ultimatelyVisibleProperties, function(propertyName) {
+                      return _.has(this.relations, propertyName) || isRelationMethod(this, propertyName);
+                    }, this) :
+                    [];
+                  relationNamesToEnsure = expandPropertyPatterns(relationNamesToEnsure, visibleRelationNames);
+
+                  // Load only those relationNamesToEnsure that are also in
+                  // ultimatelyVisibleProperties, to avoid unnecessary work --
+                  // unless caller has opted to force loading all relationNamesToEnsure.
+
+                  var loadTheseRelations = ensureRelationsVisibleAndInvisible ?
+                    relationNamesToEnsure :
+                    _.intersection(relationNamesToEnsure, ultimatelyVisibleProperties);
+
+                  // Relations are loaded by calling the model's method of the
+                  // same name, so with the default handler, a name that is
+                  // not a relation method of the model is surely a mistake.
+                  // Outside strict mode, only the names about to be loaded are
+                  // checked, so that methods not meant to be called are not.
+                  if (handleEnsureRelation === defaultHandleEnsureRelation) {
+                    var checkedRelationNames = options.strict ?
+                      listedRelationNames :
+                      _.intersection(listedRelationNames, loadTheseRelations);
+                    var unknownRelationNames = _.reject(checkedRelationNames, function(relationName) {
+                      return isRelationMethod(this, relationName);
+                    }, this);
+                    if (unknownRelationNames.length && options.strict) {
+                      throw new StrictModeError('ensureRelationsLoaded for table ' + this.tableName +
+                        ' lists names that are not relations of the model: ' + unknownRelationNames.join(', '),
+                        { option: 'ensureRelationsLoaded', names: unknownRelationNames });
+                    } else if (unknownRelationNames.length) {
+                      logger.warn(
+                        'You have specified relation names in `ensureRelationsLoaded` ' +
+                        'which are not relations of models of table ' + this.tableName + ': ' +
+                        unknownRelationNames + '.',
+                        {
+                          tableName: this.tableName,
+                          relationNames: unknownRelationNames,
+                          relationChain: this._accessedAsRelationChain
                         }
+                      );
+                    }
+                  }
+
+                  if (loadTheseRelations.length !== relationNamesToEnsure.length) {
+                    var invisibleRelationNames = _.difference(relationNamesToEnsure, loadTheseRelations);
+                    logger.warn(
+                      'You have specified relation names in `ensureRelationsLoaded` ' +
+                      'which are not visible properties: ' +
+                      invisibleRelationNames +
+                      '. These relations will ' +
+                      (ensureRelationsVisibleAndInvisible ? 'nevertheless' : 'not') +
+                      ' be loaded, because option ensureRelationsVisibleAndInvisible is `' +
+                      ensureRelationsVisibleAndInvisible + '`.',
+                      {
+                        tableName: this.tableName,
+                        relationNames: invisibleRelationNames,
+                        relationChain: this._accessedAsRelationChain
                       }
+                    );
+                  }
 
-                      return BluebirdPromise.map(loadTheseRelations, handleEnsureRelation.bind(this));
-                    });
+                  logger.debug('Ensuring relations are loaded: ' + loadTheseRelations, {
+                    tableName: this.tableName,
+                    relationNames: loadTheseRelations,
+                    relationChain: this._accessedAsRelationChain
+                  });
 
-                } else {
-                  ensureRelationsPromise = BluebirdPromise.resolve(undefined);
-                }
-              } else {
-                ensureRelationsPromise = BluebirdPromise.resolve(undefined);
-              }
+                  decision.ensuredRelations = loadTheseRelations;
+
+                  // With the default handler, relations are loaded in batches
+                  // across the models being serialized, rather than one query
+                  // per model.
+                  // With `options.dedupe`, a relation whose model is already
+                  // known need not be loaded at all.
+                  // The model leaves its group once it has joined every batch
+                  // it needs, which it does synchronously.
+                  if (handleEnsureRelation === defaultHandleEnsureRelation) {
+                    var relationPromises = _.map(loadTheseRelations, function(relationName) {
+                      var knownRelation = dedupeState && !this.relations[relationName] &&
+                        isRelationMethod(this, relationName) &&
+                        dedupe.findKnownRelation(this, relationName, dedupeState);
+                      if (knownRelation) {
+                        this.relations[relationName] = knownRelation;
+                        return BluebirdPromise.resolve(this.related(relationName));
+                      }
+                      return batchedRelationPromise(this, relationName, options._serialization);
+                    }, this);
+                    leaveRelationLoadGroups(this, options._serialization.relationLoadGroups);
+                    return BluebirdPromise.all(relationPromises);
+                  }
+                  return BluebirdPromise.map(loadTheseRelations, function(relationName, index, length) {
+                    return options._serialization.limit(function() {
+                      return handleEnsureRelation.call(this, relationName, index, length);
+                    }.bind(this));
+                  }.bind(this));
+                });
 
-              return ensureRelationsPromise.bind(this).then(function(ensuredRelations) {
+              var serializedPromise = ensureRelationsPromise.bind(this).then(function(ensuredRelations) {
+                leaveRelationLoadGroups(this, options._serialization.relationLoadGroups);
+
+                var presentProperties = getPresentProperties.call(this);
 
                 // Remove from the model relations that are not in ultimatelyVisibleProperties,
                 // even if they were just loaded per `ensureRelationsVisibleAndInvisible`.
@@ -564,10 +1837,24 @@ module.exports = function(options) {
                   // even though ECMAScript abides such practices.
 
                   if (!ultimatelyVisiblePropertiesDict.hasOwnProperty(relationName)) {
+                    decision.prunedRelations.push(relationName);
                     delete this.relations[relationName];
                   }
                 }.bind(this));
 
+                // Index the selections for the models of the relations that have them.
+                if (selection) {
+                  _.each(_.pick(this.relations, _.keys(selection.relations)), function(relation, relationName) {
+                    _.each(relation.hasOwnProperty('models') ? relation.models : [ relation ], function(model) {
+                      options._serialization.selections[model.cid] = selection.relations[relationName];
+                    });
+                  });
+                }
+
+                if (dedupeEntry) {
+                  dedupe.recordAncestors.call(this, dedupeEntry, dedupeState);
+                }
+
                 // Finally, serialize the model
 
                 var jsonPromises = modelToJSON.call(this, options);
@@ -588,10 +1875,65 @@ module.exports = function(options) {
                     }
                   });
 
-                  return result;
+                  // Apply the transforms, if any, that the accessor's roles
+                  // specify for the visible properties.
+                  var propertyTransforms = roles.getPropertyTransforms(accessorRoles,
+                    rolesToVisibleProperties, this.rolesToPropertyTransforms, this.tableName);
+
+                  return BluebirdPromise.props(_.mapValues(result, function(val, propertyName) {
+                    return propertyTransforms.hasOwnProperty(propertyName) ?
+                      propertyTransforms[propertyName].call(this, val, this, accessor) :
+                      val;
+                  }, this)).bind(this).then(function(result) {
+                    presentProperties = _.union(presentProperties, _.keys(json));
+                    decision.visible = true;
+                    decision.visibleProperties = _.keys(result);
+                    decision.droppedByRole = _.difference(presentProperties, visibleProperties);
+                    decision.droppedByContext = _.difference(
+                      _.intersection(presentProperties, visibleProperties),
+                      ultimatelyVisibleProperties
+                    );
+
+                    // When explaining, nest the decisions for the relations
+                    // in the trace, which they have been recorded in by now.
+                    if (options._serialization.trace) {
+                      decision.relations = _.mapValues(_.pick(this.relations, _.keys(result)), function(relation) {
+                        return getTrace(relation, options._serialization.trace);
+                      });
+                    }
+
+                    return reportDecision()
+                      .then(function() {
+                        if (!options.format || options.format === 'nested') {
+                          return result;
+                        }
+
+                        // In the other formats, the model's properties are
+                        // recorded separately--as a JSON:API resource object, or
+                        // as an entity--and the model serializes to a reference
+                        // to them.
+                        if (!_.contains(visibleProperties, this.idAttribute)) {
+                          throw new SanityError('format option ' + options.format + ' requires the ' +
+                            this.idAttribute + ' of models of table ' + this.tableName + ' to be visible to the role');
+                        }
+                        return options.format === 'jsonapi' ?
+                          formats.recordResource(this, result, options._serialization.resources) :
+                          formats.recordEntity(this, result, options._serialization.entities);
+                      });
+                  });
                 });
               });
+
+              if (dedupeEntry) {
+                dedupeEntry.result = serializedPromise;
+              }
+              return serializedPromise;
             });
+          })
+          .finally(function() {
+            // A model whose serialization ends without loading relations
+            // leaves its groups then.
+            leaveRelationLoadGroups(this, options._serialization.relationLoadGroups);
           });
       },
 
@@ -634,6 +1976,167 @@ module.exports = function(options) {
 
         return result;
       }
+    }, {
+
+      /**
+       * @method
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @static
+       * @desc An optional static method for determining in one pass the roles
+       * of an accessor for many models of the class, e.g. with one database query
+       * rather than one per model. When a collection is serialized, this method
+       * is called with the collection's models of the class (grouped by accessor)
+       * instead of calling `roleDeterminer` on each model. Models for which this
+       * method is not defined continue to use `roleDeterminer`.
+       * @param {Array.<Object>} models The models whose roles should be determined
+       * @param {*} accessor The accessor of the models
+       * @returns {(Array|Promise<Array>)} An array, or a promise resolving to
+       * an array, containing for each model the role(s) that `roleDeterminer`
+       * would have returned for it, in the same order as `models`.
+       */
+      roleDeterminerBatch: undefined,
+
+      /**
+       * @member {number}
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @static
+       * @desc The default value of the `maxIncludeDepth` option to
+       * `optionsFromJsonApiQuery` called on the model class.
+       */
+      maxIncludeDepth: undefined,
+
+      /**
+       * @member {Array.<string>}
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @static
+       * @desc The default value of the `allowedIncludes` option to
+       * `optionsFromJsonApiQuery` called on the model class.
+       */
+      allowedIncludes: undefined,
+
+      /**
+       * @member {Array.<string>}
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @static
+       * @desc The names of the relation methods of the model class, for
+       * `validateSerializationConfig` to report those that no role can see.
+       * Only needed if the relation methods do not build their relations
+       * themselves, with `this.belongsTo(...)` and the like, for
+       * `validateSerializationConfig` to find them.
+       */
+      relationNames: undefined,
+
+      /**
+       * @method
+       * @memberof module:bookshelf-advanced-serialization.Model
+       * @static
+       * @desc Converts the sparse fieldsets and inclusion of related resources
+       * requested in a JSON:API query (e.g. `fields[users]=username&include=author,children.author`,
+       * parsed into `{ fields: { users: 'username' }, include: 'author,children.author' }`)
+       * into the `contextSpecificVisibleProperties`, `ensureRelationsLoaded` and
+       * `contextDesignator` options for `toJSON`, for serializing a model of the
+       * class (or a collection of them) that was not accessed as a relation.
+       *
+       * The included relations are loaded, and are the only relations serialized.
+       * The properties serialized for a model are those listed in `fields`
+       * for its type (see `serializationType`) or table name--all those visible to the
+       * accessor's role, if its type is not listed--plus its included relations.
+       * @param {Object} query The parsed query
+       * @param {Object.<string, (string|Array.<string>)>=} query.fields The lists
+       * of properties to serialize, indexed by model type
+       * @param {(string|Array.<string>)=} query.include The paths of the
+       * relations to include, e.g. `'children.author'`
+       * @param {Object=} options
+       * @param {number=} options.maxIncludeDepth The maximum number of relations
+       * in an include path. Defaults to the model class's `maxIncludeDepth`,
+       * or no maximum.
+       * @param {Array.<string>=} options.allowedIncludes The include paths
+       * that may be requested. Defaults to the model class's `allowedIncludes`,
+       * or all paths.
+       * @returns {Object} The options for `toJSON`.
+       * @throws {BookshelfAdvancedSerializationPluginInvalidIncludeError} If
+       * an include path names something that is not a relation, is too deep,
+       * or is not allowed.
+       */
+      optionsFromJsonApiQuery: function(query, options) {
+        query = query || {};
+        options = options || {};
+
+        var maxIncludeDepth = options.hasOwnProperty('maxIncludeDepth') ?
+          options.maxIncludeDepth :
+          this.maxIncludeDepth;
+        var allowedIncludes = options.hasOwnProperty('allowedIncludes') ?
+          options.allowedIncludes :
+          this.allowedIncludes;
+
+        var toList = function(value) {
+          return _.compact(Array.isArray(value) ? value : String(value || '').split(','));
+        };
+
+        // Walk the include paths, recording for each path the model class at
+        // its end and the relations included from there.
+        var root = { ModelClass: this, includes: [] };
+        var nodesByPath = { '': root };
+        _.each(toList(query.include), function(includePath) {
+          var relationNames = includePath.split('.');
+
+          if (typeof maxIncludeDepth === 'number' && relationNames.length > maxIncludeDepth) {
+            throw new InvalidIncludeError('Include path ' + includePath + ' is deeper than the maximum of ' +
+              maxIncludeDepth, { path: includePath });
+          }
+          if (allowedIncludes && !_.contains(allowedIncludes, includePath)) {
+            throw new InvalidIncludeError('Include path ' + includePath + ' is not allowed', { path: includePath });
+          }
+
+          _.reduce(relationNames, function(node, relationName, i) {
+            var path = relationNames.slice(0, i + 1).join('.');
+            if (nodesByPath[path]) {
+              return nodesByPath[path];
+            }
+
+            var model = node.ModelClass.forge();
+            var relatedData = isRelationMethod(model, relationName) && model[relationName]().relatedData;
+            if (!relatedData || !relatedData.target) {
+              throw new InvalidIncludeError('Include path ' + includePath + ' names something that is not a ' +
+                'relation of models of table ' + model.tableName + ': ' + relationName, { path: includePath });
+            }
+
+            node.includes.push(relationName);
+            nodesByPath[path] = { ModelClass: relatedData.target, includes: [] };
+            return nodesByPath[path];
+          }, root);
+        });
+
+        // Index the options by the type of the model at the end of each path,
+        // and by the path as the context designation.
+        var contextSpecificVisibleProperties = {};
+        var ensureRelationsLoaded = {};
+        _.each(nodesByPath, function(node, path) {
+          var model = node.ModelClass.forge();
+          var type = model._getSerializationType();
+          var typeFields = getValueForType.call(model, query.fields || {});
+          var fields = typeFields !== undefined ? toList(typeFields) : [ '*' ];
+          // `'*'` only ever stands for properties visible to some role, so
+          // the visible relations that are not included are those to exclude.
+          var excludedRelations = _.map(_.difference(getVisibleRelationNames(model), node.includes),
+            function(relationName) {
+              return '-' + relationName;
+            });
+
+          contextSpecificVisibleProperties[type] = contextSpecificVisibleProperties[type] || {};
+          contextSpecificVisibleProperties[type][path] = _.union(fields, node.includes).concat(excludedRelations);
+          ensureRelationsLoaded[type] = ensureRelationsLoaded[type] || {};
+          ensureRelationsLoaded[type][path] = node.includes;
+        });
+
+        return {
+          contextSpecificVisibleProperties: contextSpecificVisibleProperties,
+          ensureRelationsLoaded: ensureRelationsLoaded,
+          contextDesignator: function() {
+            return this._accessedAsRelationChain.join('.');
+          }
+        };
+      }
     });
 
     Bookshelf.Model = Model;
@@ -655,19 +2158,26 @@ module.exports = function(options) {
        * @instance
        * @desc The method for serializing a collection. Analogous to `Model.toJSON`.
        * All models in a collection which serialize to `undefined` will be removed
-       * from the serialized collection.
+       * from the serialized collection. (Models with no visible properties
+       * serialize to `undefined` only if the `invisibleModels` option is `'omit'`.)
        *
        * Note that this method diverges from the standard Bookshelf behavior
        * in that it does not remove `null` values from arrays.
        *
        * @param {Object=} options An optional object specifying how to customize
        * the serialization result. Accepts the same options as `Model.toJSON`.
+       * With `options.explain`, the `trace` is an array of the traces of the
+       * collection's models.
 
        * @returns {Promise<Array>} A promise resolving to the plain
        * javascript array representing the collection.
        */
       toJSON: function(options) {
-        options = options || {};
+        if (options && (options.explain || options.format) && !options._serialization) {
+          return serializeTopLevel.call(this, beginSerialization.call(this, options, defaultConcurrency));
+        }
+
+        options = beginSerialization.call(this, options || {}, defaultConcurrency);
 
         // Determine value of `options.omitNew`. A value passed to `toJSON()`
         // takes priority, otherwise if a default was specified for the plugin
@@ -682,6 +2192,62 @@ module.exports = function(options) {
 
         return collectionToJSON.call(this, options);
       },
+      /**
+       * @method
+       * @memberof module:bookshelf-advanced-serialization.Collection
+       * @instance
+       * @desc Serializes the collection to a readable stream, for collections
+       * too large to serialize to one array in memory. Models are serialized
+       * with the same options and permissions as with `toJSON`, a batch of
+       * `options.concurrency` models at a time, each batch being serialized once
+       * the stream's consumer has read the previous one. Models that serialize
+       * to `undefined` or `null` are skipped. Each batch is serialized as if by
+       * a separate call to `toJSON`: roles are memoized, and models deduplicated
+       * with `options.dedupe`, only within a batch--unless `options.roleCache`
+       * is passed--so that memory use does not grow with the length of the
+       * stream.
+       * @param {Object=} options Accepts the same options as `toJSON`, except
+       * `explain` and `format` other than `'nested'`, as well as the following:
+       * @param {string=} options.streamFormat `'json'` (the default) for the
+       * text of a JSON array, or `'ndjson'` for one JSON value per line
+       * @param {number=} options.concurrency The number of models to serialize
+       * at a time, as well as the limit described for `toJSON`. Defaults to the
+       * `defaultConcurrency` plugin option, or else 10.
+       * @returns {stream.Readable} A stream of the serialized collection's text
+       * @throws {BookshelfAdvancedSerializationPluginSanityError} If the options
+       * are invalid.
+       */
+      toJSONStream: function(options) {
+        options = options || {};
+
+        if (options.explain || (options.format && options.format !== 'nested')) {
+          throw new SanityError('toJSONStream does not support the explain option, or format options ' +
+            'other than nested');
+        }
+        var streamFormat = options.streamFormat || 'json';
+        if (!_.contains(streams.STREAM_FORMATS, streamFormat)) {
+          throw new SanityError('streamFormat option must be one of: ' + streams.STREAM_FORMATS.join(', ') + '.');
+        }
+
+        options = beginSerialization.call(this, options, defaultConcurrency);
+        var concurrency = options.concurrency || defaultConcurrency || streams.DEFAULT_CONCURRENCY;
+
+        // Determine value of `options.omitNew`, as in `toJSON`.
+        if (options.hasOwnProperty('omitNew')) {
+          // No op.
+        } else if (typeof defaultOmitNew === 'boolean') {
+          options.omitNew = defaultOmitNew;
+        } else {
+          // No op.
+        }
+
+        return streams.createSerializationStream(this.models, function(models) {
+          var batchOptions = beginStreamBatch(options, models);
+          return determineRolesInBatches(models, batchOptions).then(function() {
+            return BluebirdPromise.all(_.invoke(models, 'toJSON', batchOptions));
+          });
+        }, streamFormat, concurrency);
+      },
       /**
        * @ignore
        * @method
@@ -692,11 +2258,27 @@ module.exports = function(options) {
        * both top-level collections as well as models' relations that are
        * collections.) Remove `undefined` values from arrays, which represent
        * models with no visible properties, and which we'll assume the recipient
-       * should therefore have no indication even exist.
+       * should therefore have no indication even exist. Before serializing the
+       * models, determine the roles of those whose class defines
+       * `roleDeterminerBatch`.
        */
-      serialize: function() {
-        var modelPromisesArray = collectionSerialize.apply(this, arguments);
-        return BluebirdPromise.all(modelPromisesArray)
+      serialize: function(options) {
+        var args = arguments;
+        var rolesPromise = options && options._serialization ?
+          determineRolesInBatches(this.models, options) :
+          BluebirdPromise.resolve();
+
+        return rolesPromise.bind(this)
+          .then(function() {
+            // Group the models, so that the relations they need are loaded
+            // together even when their roles are determined at different
+            // times.
+            if (options && options._serialization) {
+              createRelationLoadGroup(this.models, options._serialization.relationLoadGroups);
+            }
+            var modelPromisesArray = collectionSerialize.apply(this, args);
+            return BluebirdPromise.all(modelPromisesArray);
+          })
           .then(function(list) {
             return _.filter(list, _.negate(_.isUndefined));
           });
@@ -704,5 +2286,87 @@ module.exports = function(options) {
     });
 
     Bookshelf.Collection = Collection;
+
+    /**
+     * @method validateSerializationConfig
+     * @memberof module:bookshelf-advanced-serialization
+     * @desc A method added to the Bookshelf instance (i.e.
+     * `bookshelf.validateSerializationConfig()`) for checking the
+     * `rolesToVisibleProperties` of every model registered with the registry
+     * plugin against the database schema--e.g. in CI, after running migrations.
+     * The columns of each model's table are read with knex's `columnInfo`.
+     * Two kinds of problems are reported: properties listed for a role that
+     * are neither columns nor relations of the model (`'unknownProperty'`),
+     * and relations of the model that no role can see (`'invisibleRelation'`).
+     * A listed property that is not a column is checked to be a relation by
+     * calling the model's method of that name. The relations of the model are
+     * those declared in the model class's `relationNames`, or else the methods
+     * that take no arguments and whose source builds a relation (e.g. with
+     * `this.belongsTo(...)`), which are called to check that they return one;
+     * no other method is called.
+     * @returns {Promise<Array.<Object>>} A promise resolving to an array of the
+     * problems found, empty if there are none. Each problem is an object with
+     * the properties `type`, `model` (the name the model was registered with),
+     * `tableName`, `role` (for `'unknownProperty'` problems), `property`,
+     * and `message`.
+     * @throws {BookshelfAdvancedSerializationPluginSanityError} If the registry
+     * plugin is not in use.
+     */
+    Bookshelf.validateSerializationConfig = function() {
+      if (typeof Bookshelf.model !== 'function') {
+        throw new SanityError('validateSerializationConfig requires the registry plugin.');
+      }
+
+      var registeredModels = _.pick(Bookshelf._models || {}, function(ModelClass) {
+        return _.isPlainObject(ModelClass.prototype.rolesToVisibleProperties);
+      });
+
+      return BluebirdPromise.mapSeries(_.keys(registeredModels), function(modelName) {
+        var model = registeredModels[modelName].forge();
+        var tableName = model.tableName;
+        var rolesToVisibleProperties = getResolvedRolesToProperties.call(model, 'visible');
+
+        var relationNames = getRelationNames(model);
+
+        return BluebirdPromise.resolve(Bookshelf.knex(tableName).columnInfo()).then(function(columns) {
+          var problems = [];
+
+          _.each(rolesToVisibleProperties, function(properties, role) {
+            _.each(_.map(properties, roles.getPropertyName), function(propertyName) {
+              if (
+                !_.has(columns, propertyName) &&
+                !_.contains(relationNames, propertyName) &&
+                !isRelationMethod(model, propertyName)
+              ) {
+                problems.push({
+                  type: 'unknownProperty',
+                  model: modelName,
+                  tableName: tableName,
+                  role: role,
+                  property: propertyName,
+                  message: 'rolesToVisibleProperties.' + role + ' for table ' + tableName +
+                    ' lists a property that is neither a column nor a relation: ' + propertyName
+                });
+              }
+            });
+          });
+
+          var visibleProperties = _.union.apply(_, _.map(_.values(rolesToVisibleProperties), function(properties) {
+            return _.map(properties, roles.getPropertyName);
+          }));
+          _.each(_.difference(relationNames, visibleProperties), function(relationName) {
+            problems.push({
+              type: 'invisibleRelation',
+              model: modelName,
+              tableName: tableName,
+              property: relationName,
+              message: 'Relation ' + relationName + ' of table ' + tableName + ' is not visible to any role'
+            });
+          });
+
+          return problems;
+        });
+      }).then(_.flatten);
+    };
   };
 };
@@ -0,0 +1,55 @@
+'use strict';
+
+var _ = require('lodash');
+
+var errors = require('./errors.js');
+var SanityError = errors.BookshelfAdvancedSerializationPluginSanityError;
+
+var LEVELS = [ 'debug', 'info', 'warn', 'error' ];
+
+/**
+ * @ignore
+ * @desc The logger used when none is passed to the plugin. Warnings and errors
+ * are written with `console.log`, except in production; other levels are
+ * ignored.
+ */
+var defaultLogger = {
+  warn: function(message) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('bookshelf-advanced-serialization plugin: ' + message);
+    }
+  },
+  error: function(message) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('bookshelf-advanced-serialization plugin: ' + message);
+    }
+  }
+};
+
+module.exports = {
+  /**
+   * @ignore
+   * @desc Creates the logger through which the plugin reports diagnostics,
+   * from the `logger` plugin option. The result has a method for each level,
+   * which is a no-op for the levels the option does not implement.
+   * @param {Object=} logger The `logger` plugin option
+   * @returns {Object.<string, function>} The logger
+   * @throws {BookshelfAdvancedSerializationPluginSanityError} If `logger` is
+   * truthy but not an object, or one of its levels is not a function.
+   */
+  createLogger: function(logger) {
+    if (logger && !_.isObject(logger)) {
+      throw new SanityError('Truthy logger passed as plugin option must be an object.');
+    }
+    logger = logger || defaultLogger;
+
+    var result = {};
+    _.each(LEVELS, function(level) {
+      if (logger[level] !== undefined && typeof logger[level] !== 'function') {
+        throw new SanityError('logger.' + level + ' passed as plugin option must be a function.');
+      }
+      result[level] = logger[level] ? logger[level].bind(logger) : _.noop;
+    });
+    return result;
+  }
+};
@@ -0,0 +1,234 @@
+'use strict';
+
+var _ = require('lodash');
+
+var errors = require('./errors.js');
+var SanityError = errors.BookshelfAdvancedSerializationPluginSanityError;
+
+/**
+ * @ignore
+ * @desc Whether a value in a `rolesToVisibleProperties` object declares that
+ * the role inherits from other roles, i.e. whether it has the form
+ * `{ extends: ['member'], add: ['created_at'] }`.
+ * @param {*} value
+ * @returns {boolean}
+ */
+var isInheritingRole = function(value) {
+  return _.isPlainObject(value) && (value.hasOwnProperty('extends') || value.hasOwnProperty('add'));
+};
+
+/**
+ * @ignore
+ * @desc Returns the name of the property that an entry in a list of visible
+ * properties refers to. An entry is either the property name itself, or an
+ * object of the form `{ property: 'email', when: function() {...} }`.
+ * @param {(string|Object)} entry
+ * @returns {string}
+ */
+var getPropertyName = function(entry) {
+  return _.isPlainObject(entry) ? entry.property : entry;
+};
+
+/**
+ * @ignore
+ * @desc Returns the name of the model property that maps roles to properties
+ * of the given kind, e.g. `'rolesToVisibleProperties'` for `'visible'`.
+ * @param {string} kind Either `'visible'` or `'writable'`
+ * @returns {string}
+ */
+var getRolesToPropertiesName = function(kind) {
+  return 'rolesTo' + kind.charAt(0).toUpperCase() + kind.slice(1) + 'Properties';
+};
+
+module.exports = {
+  getPropertyName: getPropertyName,
+
+  getRolesToPropertiesName: getRolesToPropertiesName,
+
+  /**
+   * @ignore
+   * @desc Determines which properties of a model the accessor's roles can see.
+   * The result lists, in order, every property that at least one of the roles
+   * lists, along with the predicates on which each property's visibility
+   * depends. A property listed unconditionally by any role has no predicates,
+   * as it is visible regardless of them; otherwise it is visible if any of
+   * its predicates passes.
+   * @param {Array.<string>} roleNames The accessor's roles
+   * @param {Object.<string, Array>} rolesToVisibleProperties The resolved
+   * `rolesToVisibleProperties` of the model
+   * @param {string} tableName The table name of the model, for error messages
+   * @param {string} [kind='visible'] The kind of properties, either `'visible'`
+   * or `'writable'`; `rolesToWritableProperties` lists are interpreted the same way.
+   * @returns {{ properties: Array.<string>, predicates: Object.<string, Array.<function>> }}
+   * @throws {BookshelfAdvancedSerializationPluginSanityError} If a role does
+   * not have an array of visible properties, or an entry of the array is invalid.
+   */
+  getRoleVisibility: function(roleNames, rolesToVisibleProperties, tableName, kind) {
+    kind = kind || 'visible';
+    var optionName = getRolesToPropertiesName(kind);
+
+    var properties = [];
+    var predicates = {};
+    var unconditional = {};
+
+    _.each(roleNames, function(role) {
+      var roleVisibleProperties = rolesToVisibleProperties[role];
+
+      if (!Array.isArray(roleVisibleProperties)) {
+        throw new SanityError(optionName + ' for table ' + tableName +
+          ' does not contain array of ' + kind + ' properties for role: ' + role);
+      }
+
+      _.each(roleVisibleProperties, function(entry) {
+        var propertyName = getPropertyName(entry);
+
+        if (
+          typeof propertyName !== 'string' ||
+          (_.isPlainObject(entry) && typeof entry.when !== 'function')
+        ) {
+          throw new SanityError(optionName + '.' + role + ' for table ' + tableName +
+            ' must contain only property names, or objects with a string `property` and a `when` function.');
+        }
+
+        if (!_.contains(properties, propertyName)) {
+          properties.push(propertyName);
+        }
+
+        if (_.isPlainObject(entry)) {
+          predicates[propertyName] = (predicates[propertyName] || []).concat([ entry.when ]);
+        } else {
+          unconditional[propertyName] = true;
+        }
+      });
+    });
+
+    return {
+      properties: properties,
+      predicates: _.omit(predicates, function(propertyPredicates, propertyName) {
+        return unconditional.hasOwnProperty(propertyName);
+      })
+    };
+  },
+
+  /**
+   * @ignore
+   * @desc Resolves a `rolesToVisibleProperties` object which may contain roles
+   * that extend other roles into an equivalent object whose values are
+   * plain arrays of visible properties. Values that are already arrays are
+   * left as they are, as are values that are neither arrays nor inheriting
+   * roles--the latter are reported when `toJSON` looks them up.
+   * @param {Object} rolesToVisibleProperties The object to resolve
+   * @param {string} tableName The table name of the model class, for error messages
+   * @param {string} [kind='visible'] The kind of properties, either `'visible'`
+   * or `'writable'`; roles in `rolesToWritableProperties` may extend each other too.
+   * @returns {Object.<string, Array.<string>>} The resolved object.
+   * @throws {BookshelfAdvancedSerializationPluginSanityError} If a role extends
+   * a role that does not exist, or if roles extend each other cyclically.
+   */
+  resolveRolesToVisibleProperties: function(rolesToVisibleProperties, tableName, kind) {
+    kind = kind || 'visible';
+    var optionName = getRolesToPropertiesName(kind);
+
+    var resolved = {};
+
+    var resolve = function(role, inheritancePath) {
+      if (resolved.hasOwnProperty(role)) {
+        return resolved[role];
+      }
+
+      if (_.contains(inheritancePath, role)) {
+        throw new SanityError(optionName + ' for table ' + tableName +
+          ' contains a cycle of roles extending each other: ' +
+          inheritancePath.concat([ role ]).join(' -> '));
+      }
+
+      var value = rolesToVisibleProperties[role];
+      if (!isInheritingRole(value)) {
+        resolved[role] = value;
+        return value;
+      }
+
+      var extendedRoles = value.extends || [];
+      if (!Array.isArray(extendedRoles)) {
+        extendedRoles = [ extendedRoles ];
+      }
+      var addedProperties = value.add || [];
+      if (!Array.isArray(addedProperties)) {
+        throw new SanityError(optionName + '.' + role + ' for table ' + tableName +
+          ' must specify `add` as an array of ' + kind + ' properties.');
+      }
+
+      var inheritedProperties = _.map(extendedRoles, function(extendedRole) {
+        if (!rolesToVisibleProperties.hasOwnProperty(extendedRole)) {
+          throw new SanityError(optionName + '.' + role + ' for table ' + tableName +
+            ' extends a role that does not exist: ' + extendedRole);
+        }
+        var extendedProperties = resolve(extendedRole, inheritancePath.concat([ role ]));
+        if (!Array.isArray(extendedProperties)) {
+          throw new SanityError(optionName + '.' + role + ' for table ' + tableName +
+            ' extends a role that does not resolve to an array of ' + kind + ' properties: ' + extendedRole);
+        }
+        return extendedProperties;
+      });
+
+      resolved[role] = _.union.apply(_, inheritedProperties.concat([ addedProperties ]));
+      return resolved[role];
+    };
+
+    _.each(_.keys(rolesToVisibleProperties), function(role) {
+      resolve(role, []);
+    });
+
+    return resolved;
+  },
+
+  /**
+   * @ignore
+   * @desc Determines the transforms that should be applied to the visible
+   * properties of a model, given the accessor's roles. A property is
+   * transformed only if every role that can see it specifies a transform for
+   * it, so that a role that can see the untransformed value always wins.
+   * @param {Array.<string>} roleNames The accessor's roles
+   * @param {Object.<string, Array.<string>>} rolesToVisibleProperties The
+   * resolved `rolesToVisibleProperties` of the model
+   * @param {Object=} rolesToPropertyTransforms The `rolesToPropertyTransforms`
+   * of the model
+   * @param {string} tableName The table name of the model, for error messages
+   * @returns {Object.<string, function>} An object mapping property names to
+   * the transform that should be applied to them.
+   */
+  getPropertyTransforms: function(roleNames, rolesToVisibleProperties, rolesToPropertyTransforms, tableName) {
+    if (!rolesToPropertyTransforms) {
+      return {};
+    }
+    if (!_.isPlainObject(rolesToPropertyTransforms)) {
+      throw new SanityError('rolesToPropertyTransforms for table ' + tableName + ' must be an object');
+    }
+
+    var transformsByProperty = {};
+    var untransformedProperties = {};
+    _.each(roleNames, function(role) {
+      var roleTransforms = rolesToPropertyTransforms[role] || {};
+      if (!_.isPlainObject(roleTransforms)) {
+        throw new SanityError('rolesToPropertyTransforms.' + role + ' for table ' + tableName +
+          ' must be an object whose values are functions');
+      }
+
+      _.each(_.map(rolesToVisibleProperties[role], getPropertyName), function(propertyName) {
+        var transform = roleTransforms[propertyName];
+        if (transform === undefined) {
+          untransformedProperties[propertyName] = true;
+        } else if (typeof transform !== 'function') {
+          throw new SanityError('rolesToPropertyTransforms.' + role + '.' + propertyName +
+            ' for table ' + tableName + ' must be a function');
+        } else if (!transformsByProperty.hasOwnProperty(propertyName)) {
+          transformsByProperty[propertyName] = transform;
+        }
+      });
+    });
+
+    return _.omit(transformsByProperty, function(transform, propertyName) {
+      return untransformedProperties.hasOwnProperty(propertyName);
+    });
+  }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+var errors = require('./errors.js');
+var SanityError = errors.BookshelfAdvancedSerializationPluginSanityError;
+
+/**
+ * @ignore
+ * @desc Parses a selection string, like
+ * `'id,content,author{username},children{id,author{username}}'`, into a tree
+ * of selections. Each selection lists the properties selected on a model, and
+ * maps the names of the relations for which nested properties are selected to
+ * the selections for the relations' models. Property names may be the patterns
+ * supported in `contextSpecificVisibleProperties`, e.g. `'*'` and `'-content'`.
+ * @param {string} selectString
+ * @returns {{ properties: Array.<string>, relations: Object.<string, Object> }}
+ * The selection for the model being serialized.
+ * @throws {BookshelfAdvancedSerializationPluginSanityError} If the string
+ * is not a valid selection.
+ */
+var parseSelect = function(selectString) {
+  if (typeof selectString !== 'string') {
+    throw new SanityError('select option must be a string');
+  }
+
+  var position = 0;
+
+  var fail = function(expected) {
+    throw new SanityError('select option is invalid: expected ' + expected + ' at position ' + position +
+      ' of: ' + selectString);
+  };
+
+  var skipWhitespace = function() {
+    while (position < selectString.length && /\s/.test(selectString.charAt(position))) {
+      position++;
+    }
+  };
+
+  var parseName = function() {
+    skipWhitespace();
+    var start = position;
+    while (position < selectString.length && /[^\s,{}]/.test(selectString.charAt(position))) {
+      position++;
+    }
+    if (position === start) {
+      fail('a property name');
+    }
+    return selectString.slice(start, position);
+  };
+
+  var parseSelection = function() {
+    var selection = { properties: [], relations: {} };
+
+    var moreProperties = true;
+    while (moreProperties) {
+      var name = parseName();
+      selection.properties.push(name);
+
+      skipWhitespace();
+      if (selectString.charAt(position) === '{') {
+        if (name === '*' || name.charAt(0) === '-') {
+          fail('no nested selection for ' + name);
+        }
+        position++;
+        selection.relations[name] = parseSelection();
+        skipWhitespace();
+        if (selectString.charAt(position) !== '}') {
+          fail('"}"');
+        }
+        position++;
+        skipWhitespace();
+      }
+
+      if (selectString.charAt(position) === ',') {
+        position++;
+      } else {
+        moreProperties = false;
+      }
+    }
+
+    return selection;
+  };
+
+  var selection = parseSelection();
+  if (position < selectString.length) {
+    fail('"," or the end');
+  }
+  return selection;
+};
+
+module.exports = {
+  parseSelect: parseSelect
+};
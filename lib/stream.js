@@ -0,0 +1,90 @@
+'use strict';
+
+var Readable = require('stream').Readable;
+var BluebirdPromise = require('bluebird');
+var _ = require('lodash');
+
+/**
+ * @ignore
+ * @desc The possible values of the `streamFormat` option of `toJSONStream`.
+ */
+var STREAM_FORMATS = [ 'json', 'ndjson' ];
+
+/**
+ * @ignore
+ * @desc The number of models serialized at a time when the `concurrency`
+ * option of `toJSONStream` is not specified.
+ */
+var DEFAULT_CONCURRENCY = 10;
+
+module.exports = {
+  STREAM_FORMATS: STREAM_FORMATS,
+
+  DEFAULT_CONCURRENCY: DEFAULT_CONCURRENCY,
+
+  /**
+   * @ignore
+   * @desc Creates a readable stream of the serialization results of a list of
+   * models, as the text of a JSON array or as NDJSON (one JSON value per line).
+   * Models are serialized in batches of `concurrency` models, the next batch
+   * being started only once the stream's consumer has read the previous one,
+   * and their results are written in the order of the models. Models that
+   * serialize to `undefined` or `null` are skipped.
+   * @param {Array.<Object>} models
+   * @param {function(Array.<Object>): Promise<Array>} serializeBatch Resolves
+   * to the serialization results of a batch of models
+   * @param {string} streamFormat `'json'` or `'ndjson'`
+   * @param {number} concurrency
+   * @returns {stream.Readable}
+   */
+  createSerializationStream: function(models, serializeBatch, streamFormat, concurrency) {
+    var index = 0;
+    var serializing = false;
+    var written = 0;
+
+    var stream = new Readable({
+      read: function() {
+        if (serializing) {
+          return;
+        }
+
+        var batch = models.slice(index, index + concurrency);
+        index += batch.length;
+
+        if (!batch.length) {
+          if (streamFormat === 'json') {
+            stream.push(written ? ']' : '[]');
+          }
+          stream.push(null);
+          return;
+        }
+
+        serializing = true;
+        BluebirdPromise.resolve(serializeBatch(batch)).then(function(results) {
+          var text = _.map(_.reject(results, function(result) {
+            return result === undefined || result === null;
+          }), function(result) {
+            var json = JSON.stringify(result);
+            written++;
+            return streamFormat === 'json' ?
+              (written === 1 ? '[' : ',') + json :
+              json + '\n';
+          }).join('');
+
+          serializing = false;
+          if (text) {
+            stream.push(text);
+          } else {
+            // Nothing to push for this batch, so we move on to the next one
+            // ourselves.
+            stream._read();
+          }
+        }, function(e) {
+          stream.emit('error', e);
+        });
+      }
+    });
+
+    return stream;
+  }
+};
@@ -3,6 +3,70 @@
 var BluebirdPromise = require('bluebird');
 var _ = require('lodash');
 
+/**
+ * @ignore
+ * @desc Finds, in an object indexed by relation paths, the key that matches
+ * the relation chain by which a model was reached, e.g.
+ * `['comments', 'author']`. Keys are relation names joined with `'.'`, `''`
+ * being the path of the top-level model. In keys, `'*'` stands for any one
+ * relation name and `'**'` for any number of them, e.g. `'*.author'` or
+ * `'**.author'`. A key equal to the path takes precedence; otherwise the
+ * first matching key, in the order of the object's keys, is used.
+ * @param {Object} indexedByPath
+ * @param {Array.<string>} relationChain
+ * @returns {(string|undefined)} The key, or `undefined` if no key matches
+ */
+var findRelationPathKey = function(indexedByPath, relationChain) {
+  var path = relationChain.join('.');
+  if (_.has(indexedByPath, path)) {
+    return path;
+  }
+
+  var matches = function(segments, chain) {
+    if (!segments.length) {
+      return !chain.length;
+    }
+    if (segments[0] === '**') {
+      return matches(segments.slice(1), chain) || (chain.length > 0 && matches(segments, chain.slice(1)));
+    }
+    return chain.length > 0 &&
+      (segments[0] === '*' || segments[0] === chain[0]) &&
+      matches(segments.slice(1), chain.slice(1));
+  };
+
+  return _.find(_.keys(indexedByPath), function(key) {
+    return matches(key === '' ? [] : key.split('.'), relationChain);
+  });
+};
+
+/**
+ * @ignore
+ * @desc Groups models about to be serialized--those of a collection, or those
+ * a batch of relation loads attached--so that a batch of relation loads (see
+ * `batchedRelationPromise`) joined by any of them waits for all of them to
+ * have joined the batches they need--however long their roles take to
+ * determine--rather than only for the next turn of the event loop. Each model
+ * must then be passed to `leaveRelationLoadGroups` once it has joined those
+ * batches, or once its serialization has ended.
+ * @param {Array.<Object>} models
+ * @param {Object} groups The `relationLoadGroups` of the serialization's
+ * state: the groups of the models being serialized, indexed by `cid` in
+ * `byCid`, and the `count` of the groups and batches created so far
+ */
+var createRelationLoadGroup = function(models, groups) {
+  var cids = _.uniq(_.pluck(models, 'cid'));
+  var group = { pending: cids.length, order: groups.count++ };
+  group.complete = new BluebirdPromise(function(resolve) {
+    group.resolve = resolve;
+  });
+  if (!group.pending) {
+    group.resolve();
+  }
+  _.each(cids, function(cid) {
+    groups.byCid[cid] = (groups.byCid[cid] || []).concat([ group ]);
+  });
+};
+
 module.exports = {
   /**
    * @ignore
@@ -18,5 +82,202 @@ module.exports = {
       model.load([ relationName ]).then(function(modelLoadedWithRelation) {
         return modelLoadedWithRelation.related(relationName);
       });
+  },
+
+  createRelationLoadGroup: createRelationLoadGroup,
+
+  /**
+   * @ignore
+   * @desc Records that a model has joined the batches of relation loads it
+   * needs, if any, so that they need no longer wait for it.
+   * @param {Object} model
+   * @param {Object} groups The `relationLoadGroups` of the serialization's
+   * state
+   */
+  leaveRelationLoadGroups: function(model, groups) {
+    _.each(groups.byCid[model.cid], function(group) {
+      group.pending--;
+      if (!group.pending) {
+        group.resolve();
+      }
+    });
+    delete groups.byCid[model.cid];
+  },
+
+  /**
+   * @ignore
+   * @desc Like `relationPromise`, but rather than loading the relation on the
+   * model by itself, adds the model to a batch of models of the same class
+   * needing the same relation, to be loaded on all of them with one eager
+   * query. A batch is loaded once the promise chains in progress have run,
+   * i.e. on the next turn of the event loop, and once the models of the
+   * groups of the models in the batch (see `createRelationLoadGroup`) have
+   * all joined it or left their groups--so that the models of a collection,
+   * or the models a batch attached, share a batch. The models the relation
+   * attaches are grouped in turn.
+   *
+   * A batch only waits for groups created before it: the models of a group
+   * created after it may be waiting for models that are waiting for it.
+   * @param {object} model The model on which the relation should be loaded
+   * @param {string} relationName The name of the relation that should be loaded
+   * @param {Object} serialization The state of the serialization, whose
+   * `relationLoadBatches` are the batches waiting to be loaded, whose
+   * `relationLoadGroups` are the groups of the models, and whose `limit` is
+   * the limiter, from `createLimiter`, through which to load a batch
+   * @returns {Promise<object>} A promise resolving with the relation specified
+   * by `relationName`.
+   */
+  batchedRelationPromise: function(model, relationName, serialization) {
+    if (model.relations[relationName]) {
+      return BluebirdPromise.resolve(model.related(relationName));
+    }
+
+    var batches = serialization.relationLoadBatches;
+    var groups = serialization.relationLoadGroups;
+    var ModelClass = model.constructor;
+    var batch = _.find(batches, function(batch) {
+      return batch.ModelClass === ModelClass && batch.relationName === relationName;
+    });
+    if (!batch) {
+      batch = { ModelClass: ModelClass, relationName: relationName, models: [], groups: [], order: groups.count++ };
+
+      // Models may join the batch while it waits for their groups, whose
+      // models may in turn join it, so it waits until no group is pending.
+      var whenReady = function() {
+        return new BluebirdPromise(function(resolve) {
+          setImmediate(resolve);
+        }).then(function() {
+          var pendingGroups = _.filter(batch.groups, 'pending');
+          return pendingGroups.length ?
+            BluebirdPromise.all(_.pluck(pendingGroups, 'complete')).then(whenReady) :
+            undefined;
+        });
+      };
+
+      batch.promise = whenReady().then(function() {
+        batches.splice(_.indexOf(batches, batch), 1);
+
+        // Bookshelf's `Collection.load` passes the eager loader the result of
+        // `toJSON`, which is the plugin's serialization--so we provide the
+        // models' columns instead, as `Model.load` does.
+        var collection = ModelClass.collection(_.uniq(batch.models));
+        collection.toJSON = function() {
+          return _.map(this.models, function(batchModel) {
+            return batchModel.format(_.extend({}, batchModel.attributes));
+          });
+        };
+        return serialization.limit(function() {
+          return collection.load([ relationName ]);
+        }).then(function() {
+          createRelationLoadGroup(_.flatten(_.map(collection.models, function(batchModel) {
+            var related = batchModel.related(relationName);
+            return related.hasOwnProperty('models') ? related.models : [ related ];
+          })), groups);
+        });
+      });
+      batches.push(batch);
+    }
+    batch.models.push(model);
+    batch.groups = _.union(batch.groups, _.filter(groups.byCid[model.cid], function(group) {
+      return group.order < batch.order;
+    }));
+
+    return batch.promise.then(function() {
+      return model.related(relationName);
+    });
+  },
+
+  /**
+   * @ignore
+   * @desc Creates a limiter, which calls the functions passed to it such that no
+   * more than `concurrency` of the promises they return are pending at a time,
+   * queueing the others in order. Without `concurrency`, functions are
+   * called immediately.
+   * @param {number=} concurrency
+   * @returns {function(function): *} The limiter, which returns (a promise of)
+   * the result of the function passed to it
+   */
+  createLimiter: function(concurrency) {
+    var pending = 0;
+    var queue = [];
+
+    var next = function() {
+      if (pending >= concurrency || !queue.length) {
+        return;
+      }
+      var task = queue.shift();
+      pending++;
+      BluebirdPromise.try(task.fn)
+        .finally(function() {
+          pending--;
+          next();
+        })
+        .then(task.resolve, task.reject);
+    };
+
+    return function(fn) {
+      if (!concurrency) {
+        return fn();
+      }
+      return new BluebirdPromise(function(resolve, reject) {
+        queue.push({ fn: fn, resolve: resolve, reject: reject });
+        next();
+      });
+    };
+  },
+
+  findRelationPathKey: findRelationPathKey,
+
+  /**
+   * @ignore
+   * @desc Looks up, in an object indexed by relation paths, the value for the
+   * relation chain by which a model was reached, under the key that
+   * `findRelationPathKey` finds.
+   * @param {Object} indexedByPath
+   * @param {Array.<string>} relationChain
+   * @returns {*} The value, or `undefined` if no key matches
+   */
+  matchRelationPath: function(indexedByPath, relationChain) {
+    var key = findRelationPathKey(indexedByPath, relationChain);
+    return key === undefined ? undefined : indexedByPath[key];
+  },
+
+  /**
+   * @ignore
+   * @desc Expands a list of property names which may contain patterns: `'*'`,
+   * standing for all of `allNames`, and names prefixed with `'-'`, which
+   * exclude the property of that name. E.g. `['*', '-content']` expands to
+   * all of `allNames` except `'content'`.
+   * @param {Array.<string>} entries The list to expand
+   * @param {Array.<string>} allNames The names `'*'` stands for
+   * @returns {Array.<string>} The expanded list
+   */
+  expandPropertyPatterns: function(entries, allNames) {
+    var excluded = [];
+    var included = [];
+    _.each(entries, function(entry) {
+      if (entry === '*') {
+        included = _.union(included, allNames);
+      } else if (typeof entry === 'string' && entry.charAt(0) === '-') {
+        excluded.push(entry.slice(1));
+      } else {
+        included = _.union(included, [ entry ]);
+      }
+    });
+    return _.difference(included, excluded);
+  },
+
+  /**
+   * @ignore
+   * @desc Returns the property names referred to by a list which may contain
+   * the patterns supported by `expandPropertyPatterns`, whether included or
+   * excluded.
+   * @param {Array.<string>} entries
+   * @returns {Array.<string>}
+   */
+  getPatternPropertyNames: function(entries) {
+    return _.map(_.without(entries, '*'), function(entry) {
+      return typeof entry === 'string' && entry.charAt(0) === '-' ? entry.slice(1) : entry;
+    });
   }
 };
@@ -10,6 +10,9 @@ mockKnex.mock(knex);
 
 var plugin = require('../lib/index.js');
 var SanityError = require('../lib/errors.js').BookshelfAdvancedSerializationPluginSanityError;
+var UnwritablePropertiesError =
+  require('../lib/errors.js').BookshelfAdvancedSerializationPluginUnwritablePropertiesError;
+var InvisibleModelError = require('../lib/errors.js').BookshelfAdvancedSerializationPluginInvisibleModelError;
 
 var stubs = require('./_stubs.js');
 
@@ -200,6 +203,344 @@ describe('Plugin', function() {
         .asCallback(done);
       });
     });
+    describe('options.defaultInvisibleModels', function() {
+      it('should reject a value that is not a mode', function() {
+        expect(function() {
+          plugin({ defaultInvisibleModels: 'hide' });
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('defaultInvisibleModels passed as plugin option must be one of: ' +
+            'omit, null, stub, throw.');
+        });
+      });
+      it('should be respected in call to `model.toJSON()` when `invisibleModels` option is not specified', function(done) {
+        var anotherBookshelf = require('bookshelf')(knex);
+        anotherBookshelf.plugin('registry');
+        anotherBookshelf.plugin(plugin({
+          defaultInvisibleModels: 'null'
+        }));
+
+        anotherBookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [] }
+        }).forge({ id: 1 })
+        .toJSON()
+        .then(function(json) {
+          expect(json).to.equal(null);
+        })
+        .asCallback(done);
+      });
+    });
+    describe('options.defaultMutate', function() {
+      it('should reject a value that is not a boolean', function() {
+        expect(function() {
+          plugin({ defaultMutate: 'no' });
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('defaultMutate passed as plugin option must be a boolean.');
+        });
+      });
+      it('should be respected in call to `model.toJSON()` when `mutate` option is not specified', function(done) {
+        var anotherBookshelf = require('bookshelf')(knex);
+        anotherBookshelf.plugin('registry');
+        anotherBookshelf.plugin(plugin({
+          defaultMutate: false
+        }));
+
+        var Foo = anotherBookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id' ] }
+        });
+        var foo = Foo.forge({ id: 1 });
+        foo.relations.bar = Foo.forge({ id: 2 });
+        foo.toJSON()
+        .then(function(json) {
+          expect(json).to.eql({ id: 1 });
+          expect(_.keys(foo.relations)).to.eql([ 'bar' ]);
+        })
+        .asCallback(done);
+      });
+    });
+    describe('options.defaultConcurrency', function() {
+      it('should reject a value that is not a positive integer', function() {
+        expect(function() {
+          plugin({ defaultConcurrency: 0 });
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('defaultConcurrency passed as plugin option must be a positive integer.');
+        });
+      });
+      it('should be respected in call to `model.toJSON()` when `concurrency` option is not specified', function(done) {
+        var anotherBookshelf = require('bookshelf')(knex);
+        anotherBookshelf.plugin('registry');
+        anotherBookshelf.plugin(plugin({
+          defaultConcurrency: 1
+        }));
+
+        var inFlight = 0;
+        var maxInFlight = 0;
+        var Foo = anotherBookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function() {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            return BluebirdPromise.delay(1).then(function() {
+              inFlight--;
+              return 'anyone';
+            });
+          },
+          rolesToVisibleProperties: { anyone: [ 'id' ] }
+        });
+        Foo.collection([ Foo.forge({ id: 1 }), Foo.forge({ id: 2 }) ]).toJSON()
+        .then(function(json) {
+          expect(json).to.eql([ { id: 1 }, { id: 2 } ]);
+          expect(maxInFlight).to.equal(1);
+        })
+        .asCallback(done);
+      });
+    });
+    describe('options.stubProperties', function() {
+      it('should reject a truthy value that is not an object', function() {
+        expect(function() {
+          plugin({ stubProperties: [ 'id' ] });
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('Truthy stubProperties passed as plugin option must be an object.');
+        });
+      });
+      it('should specify the properties serialized for invisible models in `stub` mode', function(done) {
+        var anotherBookshelf = require('bookshelf')(knex);
+        anotherBookshelf.plugin('registry');
+        anotherBookshelf.plugin(plugin({
+          defaultInvisibleModels: 'stub',
+          stubProperties: { foo: [ 'id', 'type' ] }
+        }));
+
+        anotherBookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [] }
+        }).forge({ id: 1, type: 'bar', secret: 'baz' })
+        .toJSON()
+        .then(function(json) {
+          expect(json).to.eql({ id: 1, type: 'bar' });
+        })
+        .asCallback(done);
+      });
+    });
+    describe('options.logger', function() {
+      var logged;
+      var Foo;
+      beforeEach(function() {
+        logged = [];
+        var anotherBookshelf = require('bookshelf')(knex);
+        anotherBookshelf.plugin('registry');
+        anotherBookshelf.plugin(plugin({
+          logger: {
+            warn: function(message, payload) {
+              logged.push({ level: 'warn', message: message, payload: payload });
+            },
+            error: function(message, payload) {
+              logged.push({ level: 'error', message: message, payload: payload });
+            }
+          }
+        }));
+        Foo = anotherBookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'bars', 'baz' ] },
+          bars: function() {
+            return this.hasMany(Foo);
+          },
+          secrets: function() {
+            return this.hasMany(Foo);
+          }
+        });
+      });
+
+      it('should reject passing something truthy that is not an object', function() {
+        expect(function() {
+          plugin({ logger: 'foo' });
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('Truthy logger passed as plugin option must be an object.');
+        });
+      });
+      it('should reject a level that is not a function', function() {
+        expect(function() {
+          plugin({ logger: { warn: 'foo' } });
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('logger.warn passed as plugin option must be a function.');
+        });
+      });
+      it('should warn about relations in `ensureRelationsLoaded` that are not visible', function(done) {
+        var foo = Foo.forge({ id: 1 });
+        foo.relations.bars = Foo.collection();
+
+        foo.toJSON({ ensureRelationsLoaded: { foo: [ 'bars', 'secrets' ] } })
+        .then(function() {
+          expect(logged).to.eql([{
+            level: 'warn',
+            message: 'You have specified relation names in `ensureRelationsLoaded` which are not ' +
+              'visible properties: secrets. These relations will not be loaded, because option ' +
+              'ensureRelationsVisibleAndInvisible is `false`.',
+            payload: { tableName: 'foo', relationNames: [ 'secrets' ], relationChain: [] }
+          }]);
+        })
+        .asCallback(done);
+      });
+      it('should warn about relation names in `ensureRelationsLoaded` that are not relations', function(done) {
+        Foo.forge({ id: 1 }).toJSON({ ensureRelationsLoaded: { foo: [ 'baz' ] } })
+        .catch(function(e) {
+          expect(e.message).to.equal('baz is not defined on the model.');
+          expect(logged).to.eql([{
+            level: 'warn',
+            message: 'You have specified relation names in `ensureRelationsLoaded` which are not ' +
+              'relations of models of table foo: baz.',
+            payload: { tableName: 'foo', relationNames: [ 'baz' ], relationChain: [] }
+          }]);
+        })
+        .asCallback(done);
+      });
+      it('should not warn about relation names that strict mode rejects', function(done) {
+        Foo.forge({ id: 1 }).toJSON({ strict: true, ensureRelationsLoaded: { foo: [ 'qux' ] } })
+        .then(function() {
+          throw new Error('Expected rejection');
+        }, function(e) {
+          expect(e.message).to.equal('ensureRelationsLoaded for table foo lists names that are not ' +
+            'relations of the model: qux');
+          expect(logged).to.eql([]);
+        })
+        .asCallback(done);
+      });
+      it('should not log unknown context designations, which are thrown as errors', function(done) {
+        Foo.forge({ id: 1 }).toJSON({
+          contextDesignator: function() { return 'nonexistent'; },
+          contextSpecificVisibleProperties: { foo: { summary: [ 'id' ] } }
+        })
+        .then(function() {
+          throw new Error('Expected rejection');
+        }, function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(logged).to.eql([]);
+        })
+        .asCallback(done);
+      });
+    });
+    describe('options.onSerializationDecision', function() {
+      var anotherBookshelf;
+      var decisions;
+      var Foo;
+      beforeEach(function() {
+        decisions = [];
+        anotherBookshelf = require('bookshelf')(knex);
+        anotherBookshelf.plugin('registry');
+        anotherBookshelf.plugin(plugin({
+          onSerializationDecision: function(decision) {
+            decisions.push(decision);
+          }
+        }));
+        Foo = anotherBookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function(accessor) { return accessor.role; },
+          rolesToVisibleProperties: {
+            owner: [ 'id', 'name', 'secret' ],
+            stranger: [ 'id', 'name' ],
+            nobody: []
+          }
+        });
+      });
+
+      it('should reject passing something truthy that is not a function', function() {
+        expect(function() {
+          plugin({ onSerializationDecision: 'foo' });
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('Truthy onSerializationDecision passed as plugin option must be a function.');
+        });
+      });
+      it('should report the properties visible and dropped by role', function(done) {
+        var accessor = { role: 'stranger' };
+        Foo.forge({ id: 1, name: 'bar', secret: 'baz' })
+        .toJSON({ accessor: accessor })
+        .then(function(json) {
+          expect(json).to.eql({ id: 1, name: 'bar' });
+          expect(decisions).to.eql([{
+            tableName: 'foo',
+            id: 1,
+            relationChain: [],
+            accessor: accessor,
+            role: 'stranger',
+            contextDesignation: undefined,
+            roleVisibleProperties: [ 'id', 'name' ],
+            contextSpecificVisibleProperties: undefined,
+            ensuredRelations: [],
+            prunedRelations: [],
+            visible: true,
+            visibleProperties: [ 'id', 'name' ],
+            droppedByRole: [ 'secret' ],
+            droppedByContext: []
+          }]);
+        })
+        .asCallback(done);
+      });
+      it('should report the context designation and the properties dropped by context', function(done) {
+        Foo.forge({ id: 1, name: 'bar', secret: 'baz' })
+        .toJSON({
+          accessor: { role: 'owner' },
+          contextDesignator: function() { return 'summary'; },
+          contextSpecificVisibleProperties: { foo: { summary: [ 'id', 'name' ] } }
+        })
+        .then(function(json) {
+          expect(json).to.eql({ id: 1, name: 'bar' });
+          expect(decisions).to.have.length(1);
+          expect(decisions[0].contextDesignation).to.equal('summary');
+          expect(decisions[0].visibleProperties).to.eql([ 'id', 'name' ]);
+          expect(decisions[0].droppedByRole).to.eql([]);
+          expect(decisions[0].droppedByContext).to.eql([ 'secret' ]);
+        })
+        .asCallback(done);
+      });
+      it('should report models serialized to `undefined`', function(done) {
+        Foo.forge({ id: 1, name: 'bar', secret: 'baz' })
+        .toJSON({ accessor: { role: 'nobody' } })
+        .then(function(json) {
+          expect(json).to.be(undefined);
+          expect(decisions).to.have.length(1);
+          expect(decisions[0].role).to.equal('nobody');
+          expect(decisions[0].visible).to.equal(false);
+          expect(decisions[0].visibleProperties).to.eql([]);
+          expect(decisions[0].droppedByRole).to.eql([ 'id', 'name', 'secret' ]);
+        })
+        .asCallback(done);
+      });
+      it('should wait for a returned promise, and reject if it rejects', function(done) {
+        var error = new Error('audit store unavailable');
+        var yetAnotherBookshelf = require('bookshelf')(knex);
+        yetAnotherBookshelf.plugin('registry');
+        yetAnotherBookshelf.plugin(plugin({
+          onSerializationDecision: function() {
+            return BluebirdPromise.reject(error);
+          }
+        }));
+
+        yetAnotherBookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id' ] }
+        }).forge({ id: 1 })
+        .toJSON()
+        .then(function() {
+          throw new Error('Expected rejection');
+        }, function(e) {
+          expect(e).to.be(error);
+        })
+        .asCallback(done);
+      });
+    });
   });
 });
 
@@ -259,6 +600,97 @@ describe('Model', function() {
       expect(user._accessor).to.eql({ user: 'foo' });
     });
   });
+  describe('setFromInput', function() {
+    var herself = { user: { id: stubs.users.elephant1.id } };
+
+    it('should set the properties the accessor may write', function(done) {
+      var user = User.forge({ id: stubs.users.elephant1.id }, { accessor: herself });
+      user.setFromInput({ username: 'elephant2', email: 'elephant2@example.com' })
+        .then(function(result) {
+          expect(result).to.be(user);
+          expect(user.attributes).to.eql({
+            id: stubs.users.elephant1.id,
+            username: 'elephant2',
+            email: 'elephant2@example.com'
+          });
+        })
+        .asCallback(done);
+    });
+    it('should by default reject input containing properties the accessor may not write, without setting anything', function(done) {
+      var user = User.forge({ id: stubs.users.elephant1.id }, { accessor: herself });
+      user.setFromInput({ username: 'elephant2', created_at: '2016-01-01', is_admin: true })
+        .catch(function(e) {
+          expect(e).to.be.a(UnwritablePropertiesError);
+          expect(e.properties).to.eql([ 'created_at', 'is_admin' ]);
+          expect(e.message).to.equal('Accessor may not write these properties of models ' +
+            'of table users: created_at, is_admin');
+          expect(user.attributes).to.eql({ id: stubs.users.elephant1.id });
+          done();
+        });
+    });
+    it('should drop properties the accessor may not write if asked to', function(done) {
+      var user = User.forge({ id: stubs.users.elephant1.id });
+      user.setFromInput({ username: 'elephant2', is_admin: true }, {
+        accessor: herself,
+        unwritableProperties: 'drop'
+      })
+      .then(function() {
+        expect(user.attributes).to.eql({ id: stubs.users.elephant1.id, username: 'elephant2' });
+      })
+      .asCallback(done);
+    });
+    it('should use the accessor passed as an option in preference to the model\'s accessor', function(done) {
+      var user = User.forge({ id: stubs.users.elephant1.id }, { accessor: herself });
+      user.setFromInput({ username: 'elephant2' }, { accessor: { user: null } })
+        .catch(function(e) {
+          expect(e).to.be.a(UnwritablePropertiesError);
+          expect(e.properties).to.eql([ 'username' ]);
+          done();
+        });
+    });
+    it('should support multiple roles, roles extending other roles, and predicates', function(done) {
+      var Tune = bookshelf.Model.extend({
+        tableName: 'tunes',
+        roleDeterminer: function(accessor) { return accessor.roles; },
+        rolesToWritableProperties: {
+          listener: [ 'rating' ],
+          producer: { extends: [ 'listener' ], add: [ 'name' ] },
+          engineer: [ {
+            property: 'mix',
+            when: function(model, accessor) { return !model.get('released'); }
+          } ]
+        }
+      });
+      var tune = Tune.forge({ id: 1, released: true });
+      tune.setFromInput({ rating: 5, name: 'Desolation Row', mix: 'mono' }, {
+        accessor: { roles: [ 'producer', 'engineer' ] },
+        unwritableProperties: 'drop'
+      })
+      .then(function() {
+        expect(tune.attributes).to.eql({ id: 1, released: true, rating: 5, name: 'Desolation Row' });
+      })
+      .asCallback(done);
+    });
+    it('should fail for a model lacking a rolesToWritableProperties dictionary', function() {
+      expect(function() {
+        bookshelf.Model.extend({
+          tableName: 'foo',
+          roleDeterminer: function() { return 'anyone'; }
+        }).forge().setFromInput({});
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(SanityError);
+        expect(e.message).to.equal('rolesToWritableProperties was not defined for models of table: foo');
+      });
+    });
+    it('should reject an invalid unwritableProperties option', function() {
+      expect(function() {
+        User.forge().setFromInput({}, { unwritableProperties: 'ignore' });
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(SanityError);
+        expect(e.message).to.equal('unwritableProperties option must be either \'reject\' or \'drop\'.');
+      });
+    });
+  });
   describe('_accessedAsRelationChain', function() {
     it('should default to setting an empty relation chain', function() {
       var user = User.forge();
@@ -299,66 +731,331 @@ describe('Model', function() {
         expect(e.message).to.equal('rolesToVisibleProperties was not defined for models of table: foo');
       });
     });
-  });
-  describe('constructor', function() {
-    it('should allow setting _accessor via an option passed to .forge()', function() {
-      var user = User.forge({}, { accessor: { user: 'foo' }});
-      expect(user._accessor).to.eql({ user: 'foo' });
-    });
-  });
-  describe('fetch', function() {
-    var tracker = mockKnex.getTracker();
-    beforeEach(function() {
-      tracker.install();
-      tracker.on('query', function sendResult(query, step) {
-        fetchElephant1LoadGroupsMemberOf(query)[step - 1]();
+    describe('role inheritance', function() {
+      var Tune = bookshelf.Model.extend({
+        tableName: 'tunes',
+        roleDeterminer: function(accessor) { return accessor.role; },
+        rolesToVisibleProperties: {
+          listener: [ 'id', 'name' ],
+          producer: { extends: 'listener', add: [ 'albumName' ] },
+          owner: { extends: [ 'producer', 'listener' ], add: [ 'recordLabel' ] }
+        }
       });
-    });
-    afterEach(function() {
-      tracker.uninstall();
-    });
-    it('should transfer _accessor to a relation loaded via the `withRelated` option', function(done) {
-      User.forge({ username: 'elephant1' }, { accessor: { user: 'foo' }})
-        .fetch({ withRelated: 'groupsMemberOf' })
-        .then(function(user) {
-          var groups = user.related('groupsMemberOf');
-          expect(groups.length).to.equal(1);
-          groups.each(function(group) {
-            expect(group._accessor).to.eql({ user: 'foo' });
+      var tuneAttributes = {
+        id: 1,
+        name: 'As I went out one morning',
+        albumName: 'John Wesley Harding',
+        recordLabel: 'Columbia',
+        royalties: 1000
+      };
+
+      it('should make visible the properties of the extended roles and the added properties', function(done) {
+        Tune.forge(tuneAttributes, { accessor: { role: 'owner' } })
+          .toJSON()
+          .then(function(result) {
+            expect(result).to.eql({
+              id: 1,
+              name: 'As I went out one morning',
+              albumName: 'John Wesley Harding',
+              recordLabel: 'Columbia'
+            });
+          })
+          .asCallback(done);
+      });
+      it('should continue to support roles whose visible properties are an array', function(done) {
+        Tune.forge(tuneAttributes, { accessor: { role: 'listener' } })
+          .toJSON()
+          .then(function(result) {
+            expect(result).to.eql({ id: 1, name: 'As I went out one morning' });
+          })
+          .asCallback(done);
+      });
+      it('should resolve roles once per model class', function(done) {
+        var CachedTune = Tune.extend({});
+        var first = CachedTune.forge(tuneAttributes, { accessor: { role: 'producer' } });
+        var second = CachedTune.forge(tuneAttributes, { accessor: { role: 'owner' } });
+        first.toJSON().then(function() {
+          var resolved = CachedTune._resolvedRolesToVisibleProperties.resolved;
+          return second.toJSON().then(function() {
+            expect(CachedTune._resolvedRolesToVisibleProperties.resolved).to.be(resolved);
+            expect(resolved.producer).to.eql([ 'id', 'name', 'albumName' ]);
           });
-          done();
+        })
+        .asCallback(done);
+      });
+      it('should reject roles that extend each other cyclically', function() {
+        expect(function() {
+          bookshelf.Model.extend({
+            tableName: 'tunes',
+            roleDeterminer: function() { return 'a'; },
+            rolesToVisibleProperties: {
+              a: { extends: [ 'b' ], add: [ 'id' ] },
+              b: { extends: [ 'c' ], add: [] },
+              c: { extends: [ 'a' ], add: [] }
+            }
+          }).forge(tuneAttributes).toJSON();
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('rolesToVisibleProperties for table tunes contains ' +
+            'a cycle of roles extending each other: a -> b -> c -> a');
         });
-    });
-    it('should transfer _accessedAsRelationChain to a relation loaded via the `withRelated` option', function(done) {
-      User.forge({ username: 'elephant1' }, { accessor: { user: 'foo' }})
-        .fetch({ withRelated: 'groupsMemberOf' })
-        .then(function(user) {
-          var groups = user.related('groupsMemberOf');
-          expect(groups.length).to.equal(1);
-          var group = groups.at(0);
-          expect(user._accessedAsRelationChain).to.eql([]);
-          expect(group._accessedAsRelationChain).to.eql([ 'groupsMemberOf' ]);
-          done();
+      });
+      it('should reject a role that extends a role that does not exist', function() {
+        expect(function() {
+          bookshelf.Model.extend({
+            tableName: 'tunes',
+            roleDeterminer: function() { return 'a'; },
+            rolesToVisibleProperties: {
+              a: { extends: [ 'nonexistent' ], add: [ 'id' ] }
+            }
+          }).forge(tuneAttributes).toJSON();
+        }).to.throwException(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('rolesToVisibleProperties.a for table tunes ' +
+            'extends a role that does not exist: nonexistent');
         });
+      });
     });
   });
-  describe('fetchAll', function() {
-    var tracker = mockKnex.getTracker();
-    before(function() {
-      tracker.install();
-      tracker.on('query', function sendResult(query) {
-        query.response([
-          stubs.users.elephant1,
-          stubs.users.antelope99
-        ]);
-      });
+  describe('predicates in rolesToVisibleProperties', function() {
+    var isPublished = function(model) {
+      return BluebirdPromise.resolve(new Date(model.get('published_at')) <= new Date());
+    };
+    var Post = bookshelf.Model.extend({
+      tableName: 'posts',
+      roleDeterminer: function(accessor) { return accessor.roles; },
+      rolesToVisibleProperties: {
+        reader: [ 'id', 'title', { property: 'content', when: isPublished } ],
+        author: [ 'id', 'title', 'content' ],
+        subscriber: [ 'id', {
+          property: 'content',
+          when: function(model, accessor, contextDesignation) {
+            return contextDesignation === 'feed';
+          }
+        } ]
+      }
     });
-    after(function() {
-      tracker.uninstall();
+    var unpublishedPost = {
+      id: 1,
+      title: 'Upcoming',
+      content: 'Not yet',
+      published_at: '2999-01-01T00:00:00.000Z'
+    };
+    var publishedPost = {
+      id: 2,
+      title: 'Published',
+      content: 'Hello',
+      published_at: '2016-01-01T00:00:00.000Z'
+    };
+
+    it('should make a property visible when its predicate passes', function(done) {
+      Post.forge(publishedPost, { accessor: { roles: [ 'reader' ] } })
+        .toJSON()
+        .then(function(result) {
+          expect(result).to.eql({ id: 2, title: 'Published', content: 'Hello' });
+        })
+        .asCallback(done);
     });
-    it('should set _accessor on all models in a collection fetched via fetchAll', function(done) {
-      var user = User.forge({}, { accessor: { user: 'foo' }});
-      user.fetchAll().then(function(collection) {
+    it('should hide a property when its predicate fails', function(done) {
+      Post.forge(unpublishedPost, { accessor: { roles: [ 'reader' ] } })
+        .toJSON()
+        .then(function(result) {
+          expect(result).to.eql({ id: 1, title: 'Upcoming' });
+        })
+        .asCallback(done);
+    });
+    it('should make a property visible when another role lists it without a predicate', function(done) {
+      Post.forge(unpublishedPost, { accessor: { roles: [ 'reader', 'author' ] } })
+        .toJSON()
+        .then(function(result) {
+          expect(result).to.eql({ id: 1, title: 'Upcoming', content: 'Not yet' });
+        })
+        .asCallback(done);
+    });
+    it('should pass the model, accessor, and context designation to the predicate', function(done) {
+      Post.forge(unpublishedPost, { accessor: { roles: [ 'reader', 'subscriber' ] } })
+        .toJSON({
+          contextDesignator: function() { return 'feed'; }
+        })
+        .then(function(result) {
+          expect(result).to.eql({ id: 1, title: 'Upcoming', content: 'Not yet' });
+        })
+        .asCallback(done);
+    });
+    it('should evaluate predicates before intersecting with the context-specific visible properties', function(done) {
+      Post.forge(unpublishedPost, { accessor: { roles: [ 'reader' ] } })
+        .toJSON({
+          contextSpecificVisibleProperties: { posts: [ 'content' ] }
+        })
+        .then(function(result) {
+          expect(result).to.equal(undefined);
+        })
+        .asCallback(done);
+    });
+    it('should reject an entry that is neither a property name nor an object with a `when` function', function(done) {
+      bookshelf.Model.extend({
+        tableName: 'posts',
+        roleDeterminer: function() { return 'reader'; },
+        rolesToVisibleProperties: { reader: [ { property: 'content', when: true } ] }
+      }).forge(publishedPost)
+        .toJSON()
+        .catch(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('rolesToVisibleProperties.reader for table posts must contain ' +
+            'only property names, or objects with a string `property` and a `when` function.');
+          done();
+        });
+    });
+  });
+  describe('rolesToPropertyTransforms', function() {
+    var Member = bookshelf.Model.extend({
+      tableName: 'members',
+      roleDeterminer: function(accessor) { return accessor.roles; },
+      rolesToVisibleProperties: {
+        stranger: [ 'id', 'email', 'location', 'friend' ],
+        friend: [ 'id', 'email' ],
+        self: { extends: [ 'stranger' ], add: [] }
+      },
+      rolesToPropertyTransforms: {
+        stranger: {
+          email: function(email, model, accessor) {
+            expect(model.get('email')).to.equal(email);
+            expect(accessor.roles).to.contain('stranger');
+            return email.replace(/^(.).*@/, '$1***@');
+          },
+          location: function(location) {
+            return BluebirdPromise.resolve(_.mapValues(location, Math.round));
+          },
+          friend: function(friend) {
+            return _.pick(friend, 'id');
+          }
+        }
+      },
+      friend: function() {
+        return this.belongsTo('Member', 'friend_id');
+      }
+    });
+    var memberAttributes = {
+      id: 1,
+      email: 'elephant1@example.com',
+      location: { lat: 37.7749, lng: -122.4194 }
+    };
+
+    it('should transform attributes for the role, supporting transforms that return promises', function(done) {
+      Member.forge(memberAttributes, { accessor: { roles: [ 'stranger' ] } })
+        .toJSON()
+        .then(function(result) {
+          expect(result).to.eql({
+            id: 1,
+            email: 'e***@example.com',
+            location: { lat: 38, lng: -122 }
+          });
+        })
+        .asCallback(done);
+    });
+    it('should transform serialized relations for the role', function(done) {
+      var member = Member.forge(memberAttributes, { accessor: { roles: [ 'stranger' ] } });
+      member.relations.friend = Member.forge({ id: 2, email: 'antelope99@example.com' });
+      member.toJSON({ accessor: { roles: [ 'stranger' ] } })
+        .then(function(result) {
+          expect(result.friend).to.eql({ id: 2 });
+        })
+        .asCallback(done);
+    });
+    it('should not transform a property that another of the accessor\'s roles can see untransformed', function(done) {
+      Member.forge(memberAttributes, { accessor: { roles: [ 'stranger', 'friend' ] } })
+        .toJSON()
+        .then(function(result) {
+          expect(result).to.eql({
+            id: 1,
+            email: 'elephant1@example.com',
+            location: { lat: 38, lng: -122 }
+          });
+        })
+        .asCallback(done);
+    });
+    it('should not apply the transforms of an extended role', function(done) {
+      Member.forge(memberAttributes, { accessor: { roles: [ 'self' ] } })
+        .toJSON()
+        .then(function(result) {
+          expect(result).to.eql(memberAttributes);
+        })
+        .asCallback(done);
+    });
+    it('should reject a transform that is not a function', function(done) {
+      bookshelf.Model.extend({
+        tableName: 'members',
+        roleDeterminer: function() { return 'stranger'; },
+        rolesToVisibleProperties: { stranger: [ 'email' ] },
+        rolesToPropertyTransforms: { stranger: { email: 'masked' } }
+      }).forge(memberAttributes)
+        .toJSON()
+        .catch(function(e) {
+          expect(e).to.be.a(SanityError);
+          expect(e.message).to.equal('rolesToPropertyTransforms.stranger.email for table members must be a function');
+          done();
+        });
+    });
+  });
+  describe('constructor', function() {
+    it('should allow setting _accessor via an option passed to .forge()', function() {
+      var user = User.forge({}, { accessor: { user: 'foo' }});
+      expect(user._accessor).to.eql({ user: 'foo' });
+    });
+  });
+  describe('fetch', function() {
+    var tracker = mockKnex.getTracker();
+    beforeEach(function() {
+      tracker.install();
+      tracker.on('query', function sendResult(query, step) {
+        fetchElephant1LoadGroupsMemberOf(query)[step - 1]();
+      });
+    });
+    afterEach(function() {
+      tracker.uninstall();
+    });
+    it('should transfer _accessor to a relation loaded via the `withRelated` option', function(done) {
+      User.forge({ username: 'elephant1' }, { accessor: { user: 'foo' }})
+        .fetch({ withRelated: 'groupsMemberOf' })
+        .then(function(user) {
+          var groups = user.related('groupsMemberOf');
+          expect(groups.length).to.equal(1);
+          groups.each(function(group) {
+            expect(group._accessor).to.eql({ user: 'foo' });
+          });
+          done();
+        });
+    });
+    it('should transfer _accessedAsRelationChain to a relation loaded via the `withRelated` option', function(done) {
+      User.forge({ username: 'elephant1' }, { accessor: { user: 'foo' }})
+        .fetch({ withRelated: 'groupsMemberOf' })
+        .then(function(user) {
+          var groups = user.related('groupsMemberOf');
+          expect(groups.length).to.equal(1);
+          var group = groups.at(0);
+          expect(user._accessedAsRelationChain).to.eql([]);
+          expect(group._accessedAsRelationChain).to.eql([ 'groupsMemberOf' ]);
+          done();
+        });
+    });
+  });
+  describe('fetchAll', function() {
+    var tracker = mockKnex.getTracker();
+    before(function() {
+      tracker.install();
+      tracker.on('query', function sendResult(query) {
+        query.response([
+          stubs.users.elephant1,
+          stubs.users.antelope99
+        ]);
+      });
+    });
+    after(function() {
+      tracker.uninstall();
+    });
+    it('should set _accessor on all models in a collection fetched via fetchAll', function(done) {
+      var user = User.forge({}, { accessor: { user: 'foo' }});
+      user.fetchAll().then(function(collection) {
         expect(collection.length).to.equal(2);
         collection.each(function(model) {
           expect(model._accessor).to.eql({ user: 'foo' });
@@ -367,6 +1064,34 @@ describe('Model', function() {
       });
     });
   });
+  describe('fetchAllStream', function() {
+    var tracker = mockKnex.getTracker();
+    before(function() {
+      tracker.install();
+      tracker.on('query', function sendResult(query) {
+        query.response([
+          stubs.users.elephant1,
+          stubs.users.antelope99
+        ]);
+      });
+    });
+    after(function() {
+      tracker.uninstall();
+    });
+    it('should stream the serialization of the collection fetched via fetchAll', function(done) {
+      var stream = User.forge({}, { accessor: { user: { id: stubs.users.elephant1.id } } })
+        .fetchAllStream({}, { streamFormat: 'ndjson', contextSpecificVisibleProperties: { users: [ 'username' ] } });
+      var text = '';
+      stream.on('data', function(chunk) {
+        text += chunk;
+      });
+      stream.on('end', function() {
+        expect(text).to.equal(JSON.stringify({ username: stubs.users.elephant1.username }) + '\n' +
+          JSON.stringify({ username: stubs.users.antelope99.username }) + '\n');
+        done();
+      });
+    });
+  });
   describe('toJSON', function() {
     it('should return a promise resolving to the serialization result', function(done) {
       var serializationResultPromise = User.forge({ username: 'foo' }, {
@@ -421,6 +1146,66 @@ describe('Model', function() {
         done();
       });
     });
+    describe('multiple roles', function() {
+      var Tune = bookshelf.Model.extend({
+        tableName: 'tunes',
+        roleDeterminer: function(accessor) { return accessor.roles; },
+        rolesToVisibleProperties: {
+          listener: [ 'id', 'name' ],
+          producer: [ 'id', 'albumName' ],
+          stranger: []
+        }
+      });
+      var tuneAttributes = {
+        id: 1,
+        name: 'As I went out one morning',
+        albumName: 'John Wesley Harding',
+        recordLabel: 'Columbia'
+      };
+
+      it('should serialize the union of the visible properties of each role', function(done) {
+        Tune.forge(tuneAttributes, { accessor: { roles: [ 'listener', 'producer' ] } })
+          .toJSON()
+          .then(function(result) {
+            expect(result).to.eql({
+              id: 1,
+              name: 'As I went out one morning',
+              albumName: 'John Wesley Harding'
+            });
+          })
+          .asCallback(done);
+      });
+      it('should still intersect the union with the context-specific visible properties', function(done) {
+        Tune.forge(tuneAttributes, { accessor: { roles: [ 'listener', 'producer' ] } })
+          .toJSON({
+            contextSpecificVisibleProperties: {
+              tunes: [ 'albumName', 'recordLabel' ]
+            }
+          })
+          .then(function(result) {
+            expect(result).to.eql({ albumName: 'John Wesley Harding' });
+          })
+          .asCallback(done);
+      });
+      it('should resolve a model as undefined if none of its roles has visible properties', function(done) {
+        Tune.forge(tuneAttributes, { accessor: { roles: [ 'stranger' ] } })
+          .toJSON()
+          .then(function(result) {
+            expect(result).to.equal(undefined);
+          })
+          .asCallback(done);
+      });
+      it('should reject with an error identifying the role that lacks an array of visible properties', function(done) {
+        Tune.forge(tuneAttributes, { accessor: { roles: [ 'listener', 'critic' ] } })
+          .toJSON()
+          .catch(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('rolesToVisibleProperties for table tunes ' +
+              'does not contain array of visible properties for role: critic');
+            done();
+          });
+      });
+    });
     describe('options', function() {
       describe('contextDesignator', function() {
         it('should require a truthy contextDesignator to be a function', function(done) {
@@ -588,7 +1373,8 @@ describe('Model', function() {
               });
             });
           });
-          it('should require an contextDesignator function if ' + property + '[tableName] is an object', function(done) {
+          it('should reject ' + property + '[tableName] with no key matching the relation path, ' +
+            'without a contextDesignator function', function(done) {
             var options = {};
             options[property] = {
               users: { foo: [ 'groupsMemberOf' ] }
@@ -600,8 +1386,8 @@ describe('Model', function() {
             .then(function(model) {
               model.toJSON(options).catch(function(e) {
                 expect(e).to.be.a(SanityError);
-                expect(e.message).to.equal('options must contain an contextDesignator function if ' +
-                  'options.' + property + '[this.tableName] is an object');
+                expect(e.message).to.equal(property + '.users has no key matching the relation path \'\', ' +
+                  'and options contain no contextDesignator function');
 
                 done();
               });
@@ -667,7 +1453,7 @@ describe('Model', function() {
                 expect(e).to.be.a(SanityError);
                 expect(e.message).to.equal(property + '.users ' +
                   'must be an array, or an object whose keys are strings returned ' +
-                  'by the options.contextDesignator function and whose values are arrays.');
+                  'by the options.contextDesignator function (or relation paths) and whose values are arrays.');
 
                 done();
               });
@@ -861,6 +1647,180 @@ describe('Model', function() {
             });
           });
         });
+        describe('patterns', function() {
+          it('should resolve `*` as the visible relations, and exclusions', function(done) {
+            var ensuredRelationNames = [];
+            var anotherBookshelf = require('bookshelf')(knex);
+            anotherBookshelf.plugin('registry');
+            anotherBookshelf.plugin(plugin({
+              handleEnsureRelation: function(relationName) {
+                ensuredRelationNames.push(relationName);
+              }
+            }));
+
+            var AnotherBookshelfUser = require('../examples/rest-api/User.js')(anotherBookshelf);
+            AnotherBookshelfUser.forge(stubs.users.elephant1, {
+              accessor: { user: { id: stubs.users.elephant1.id } }
+            })
+            .toJSON({
+              ensureRelationsLoaded: {
+                users: [ '*', '-groupsAdminOf' ]
+              }
+            })
+            .then(function() {
+              expect(ensuredRelationNames).to.eql([ 'groupsMemberOf' ]);
+            })
+            .asCallback(done);
+          });
+          it('should resolve `*` as only the relations visible to the role', function(done) {
+            var ensuredRelationNames = [];
+            var anotherBookshelf = require('bookshelf')(knex);
+            anotherBookshelf.plugin('registry');
+            anotherBookshelf.plugin(plugin({
+              handleEnsureRelation: function(relationName) {
+                ensuredRelationNames.push(relationName);
+              }
+            }));
+
+            var AnotherBookshelfUser = require('../examples/rest-api/User.js')(anotherBookshelf);
+            AnotherBookshelfUser.forge(stubs.users.elephant1, {
+              accessor: { user: { id: stubs.users.antelope99.id } }
+            })
+            .toJSON({
+              ensureRelationsLoaded: {
+                users: [ '*' ]
+              }
+            })
+            .then(function() {
+              expect(ensuredRelationNames).to.eql([]);
+            })
+            .asCallback(done);
+          });
+        });
+        describe('batching', function() {
+          var tracker = mockKnex.getTracker();
+          var queries;
+          var Writer = bookshelf.Model.extend({
+            tableName: 'writers',
+            roleDeterminer: function() { return 'anyone'; },
+            rolesToVisibleProperties: { anyone: [ 'id', 'name' ] }
+          });
+          var Article = bookshelf.Model.extend({
+            tableName: 'articles',
+            roleDeterminer: function() { return 'anyone'; },
+            rolesToVisibleProperties: { anyone: [ 'id', 'title', 'writer' ] },
+            writer: function() {
+              return this.belongsTo(Writer, 'writer_id');
+            }
+          });
+          var Note = bookshelf.Model.extend({
+            tableName: 'notes',
+            roleDeterminer: function() { return 'anyone'; },
+            rolesToVisibleProperties: { anyone: [ 'id', 'article' ] },
+            article: function() {
+              return this.belongsTo(Article, 'article_id');
+            }
+          });
+          var rowsByTable = {
+            articles: [ { id: 1, title: 'First', writer_id: 1 }, { id: 2, title: 'Second', writer_id: 2 } ],
+            writers: [ { id: 1, name: 'Ann' }, { id: 2, name: 'Bob' } ]
+          };
+          beforeEach(function() {
+            queries = [];
+            tracker.install();
+            tracker.on('query', function sendResult(query) {
+              queries.push(query.sql);
+              var tableName = _.find(_.keys(rowsByTable), function(tableName) {
+                return query.sql.indexOf(tableName) !== -1;
+              });
+              query.response(_.filter(rowsByTable[tableName], function(row) {
+                return _.contains(query.bindings, row.id);
+              }));
+            });
+          });
+          afterEach(function() {
+            tracker.uninstall();
+          });
+
+          it('should load a relation on the models of a collection with one query per relation level',
+            function(done) {
+              Note.collection([
+                Note.forge({ id: 1, article_id: 1 }),
+                Note.forge({ id: 2, article_id: 2 }),
+                Note.forge({ id: 3, article_id: 1 })
+              ])
+              .toJSON({ ensureRelationsLoaded: { notes: [ 'article' ], articles: [ 'writer' ] } })
+              .then(function(result) {
+                expect(result).to.eql([
+                  { id: 1, article: { id: 1, title: 'First', writer: { id: 1, name: 'Ann' } } },
+                  { id: 2, article: { id: 2, title: 'Second', writer: { id: 2, name: 'Bob' } } },
+                  { id: 3, article: { id: 1, title: 'First', writer: { id: 1, name: 'Ann' } } }
+                ]);
+                expect(queries.length).to.equal(2);
+              })
+              .asCallback(done);
+            }
+          );
+          it('should load a relation on the models of a collection with one query when their roles take a while',
+            function(done) {
+              var SlowNote = Note.extend({
+                roleDeterminer: function() {
+                  return BluebirdPromise.delay(this.id * 5).return('anyone');
+                }
+              });
+              SlowNote.collection([
+                SlowNote.forge({ id: 1, article_id: 1 }),
+                SlowNote.forge({ id: 2, article_id: 2 }),
+                SlowNote.forge({ id: 3, article_id: 1 })
+              ])
+              .toJSON({ ensureRelationsLoaded: { notes: [ 'article' ] } })
+              .then(function(result) {
+                expect(_.pluck(_.pluck(result, 'article'), 'title')).to.eql([ 'First', 'Second', 'First' ]);
+                expect(queries.length).to.equal(1);
+              })
+              .asCallback(done);
+            }
+          );
+          it('should load the relations of the models a batch attached with one query per relation level',
+            function(done) {
+              var slowRoleDeterminer = function() {
+                return BluebirdPromise.delay(this.id * 5).return('anyone');
+              };
+              var SlowArticle = Article.extend({ roleDeterminer: slowRoleDeterminer });
+              var SlowNote = Note.extend({
+                roleDeterminer: slowRoleDeterminer,
+                article: function() {
+                  return this.belongsTo(SlowArticle, 'article_id');
+                }
+              });
+              SlowNote.collection([
+                SlowNote.forge({ id: 1, article_id: 1 }),
+                SlowNote.forge({ id: 2, article_id: 2 }),
+                SlowNote.forge({ id: 3, article_id: 1 })
+              ])
+              .toJSON({ ensureRelationsLoaded: { notes: [ 'article' ], articles: [ 'writer' ] } })
+              .then(function(result) {
+                expect(_.pluck(_.pluck(_.pluck(result, 'article'), 'writer'), 'name')).to.eql([ 'Ann', 'Bob', 'Ann' ]);
+                expect(queries.length).to.equal(2);
+              })
+              .asCallback(done);
+            }
+          );
+          it('should not load a relation that is already present', function(done) {
+            var note = Note.forge({ id: 1, article_id: 1 });
+            note.relations.article = Article.forge({ id: 1, title: 'Preloaded' });
+            Note.collection([ note, Note.forge({ id: 2, article_id: 2 }) ])
+            .toJSON({ ensureRelationsLoaded: { notes: [ 'article' ] } })
+            .then(function(result) {
+              expect(result).to.eql([
+                { id: 1, article: { id: 1, title: 'Preloaded' } },
+                { id: 2, article: { id: 2, title: 'Second' } }
+              ]);
+              expect(queries.length).to.equal(1);
+            })
+            .asCallback(done);
+          });
+        });
       });
       describe('contextSpecificVisibleProperties', function() {
 
@@ -916,34 +1876,151 @@ describe('Model', function() {
             });
           });
         })
-      });
-      describe('accessor', function() {
-        it('should use this option value as the accessor, when serializing', function(done) {
-          var model = User.forge(stubs.users.elephant1);
-          var serializationResultPromise =
-            model.toJSON({ accessor: { user: { id: stubs.users.elephant1.id } } })
-              .then(function(result) {
-                expect(result).to.eql({
-                  id: '3fe94198-7b32-44ee-abdd-04104b902c51',
-                  username: 'elephant1',
-                  email: 'elephant1@example.com',
-                  created_at: '2016-01-03T04:07:51.690Z'
-                });
-                done();
+        describe('patterns', function() {
+          it('should resolve `*` and exclusions relative to the role visible properties', function(done) {
+            User.forge(stubs.users.elephant1, {
+              accessor: { user: { id: stubs.users.elephant1.id } }
+            })
+            .toJSON({
+              contextSpecificVisibleProperties: {
+                users: [ '*', '-email' ]
+              }
+            })
+            .then(function(result) {
+              expect(result).to.eql({
+                id: '3fe94198-7b32-44ee-abdd-04104b902c51',
+                username: 'elephant1',
+                created_at: '2016-01-03T04:07:51.690Z'
               });
-        });
-        it('should give precedence to this option value over `model._accessor` set during instantiation, when serializing', function(done) {
-          var model = User.forge(stubs.users.elephant1, { accessor: { user: { id: stubs.users.elephant1.id } } });
-          expect(model._accessor).to.eql({ user: { id: stubs.users.elephant1.id } });
-          var serializationResultPromise =
-            model.toJSON({ accessor: { user: null } })
-              .then(function(result) {
-                expect(result).to.eql({
-                  id: '3fe94198-7b32-44ee-abdd-04104b902c51',
-                  username: 'elephant1',
-                  created_at: '2016-01-03T04:07:51.690Z'
-                });
-                done();
+            })
+            .asCallback(done);
+          });
+          it('should not make visible properties that the role cannot see', function(done) {
+            User.forge(stubs.users.elephant1, {
+              accessor: { user: { id: stubs.users.antelope99.id } }
+            })
+            .toJSON({
+              contextSpecificVisibleProperties: {
+                users: [ '*', 'email', '-created_at' ]
+              }
+            })
+            .then(function(result) {
+              expect(result).to.eql({
+                id: '3fe94198-7b32-44ee-abdd-04104b902c51',
+                username: 'elephant1'
+              });
+            })
+            .asCallback(done);
+          });
+        });
+        describe('relation paths', function() {
+          var Writer = bookshelf.Model.extend({
+            tableName: 'writers',
+            roleDeterminer: function() { return 'anyone'; },
+            rolesToVisibleProperties: { anyone: [ 'id', 'name' ] }
+          });
+          var Entry = bookshelf.Model.extend({
+            tableName: 'entries',
+            roleDeterminer: function() { return 'anyone'; },
+            rolesToVisibleProperties: { anyone: [ 'id', 'body', 'parent', 'children', 'author' ] }
+          });
+          // Sets a relation on a model and accesses it with `related`, which
+          // records the relation chain on the relation's models.
+          var link = function(model, relationName, relation) {
+            model.relations[relationName] = relation;
+            model.related(relationName);
+            return model;
+          };
+          var forgeEntry = function() {
+            var entry = link(Entry.forge({ id: 1, body: 'Entry' }), 'author', Writer.forge({ id: 7, name: 'Ann' }));
+            link(entry, 'parent', Entry.forge({ id: 2, body: 'Parent' }));
+            link(entry.related('parent'), 'author', Writer.forge({ id: 8, name: 'Bob' }));
+            link(entry, 'children', Entry.collection([ Entry.forge({ id: 3, body: 'Child' }) ]));
+            link(entry.related('children').at(0), 'author', Writer.forge({ id: 9, name: 'Cat' }));
+            return entry;
+          };
+
+          it('should use the key matching the relation chain when there is no contextDesignator', function(done) {
+            forgeEntry().toJSON({
+              contextSpecificVisibleProperties: {
+                entries: { '': [ '*' ], parent: [ 'id', 'author' ], children: [ 'body', 'author' ] },
+                writers: { author: [ 'id', 'name' ], '*.author': [ 'name' ] }
+              }
+            }).then(function(result) {
+              expect(result).to.eql({
+                id: 1,
+                body: 'Entry',
+                author: { id: 7, name: 'Ann' },
+                parent: { id: 2, author: { name: 'Bob' } },
+                children: [ { body: 'Child', author: { name: 'Cat' } } ]
+              });
+            })
+            .asCallback(done);
+          });
+          it('should match `**` against any number of relation names, after an exact key', function(done) {
+            forgeEntry().toJSON({
+              contextSpecificVisibleProperties: {
+                writers: { '**': [ 'id' ], 'parent.author': [ 'name' ] }
+              }
+            }).then(function(result) {
+              expect(result.author).to.eql({ id: 7 });
+              expect(result.parent.author).to.eql({ name: 'Bob' });
+              expect(result.children[0].author).to.eql({ id: 9 });
+            })
+            .asCallback(done);
+          });
+          it('should use relation paths for ensureRelationsLoaded', function(done) {
+            var ensured = [];
+            var anotherBookshelf = require('bookshelf')(knex);
+            anotherBookshelf.plugin('registry');
+            anotherBookshelf.plugin(plugin({
+              handleEnsureRelation: function(relationName) {
+                ensured.push(this._accessedAsRelationChain.join('.') + ':' + relationName);
+              }
+            }));
+            var AnotherEntry = anotherBookshelf.Model.extend({
+              tableName: 'entries',
+              roleDeterminer: function() { return 'anyone'; },
+              rolesToVisibleProperties: { anyone: [ 'id', 'parent', 'author' ] }
+            });
+            var entry = link(AnotherEntry.forge({ id: 1 }), 'parent', AnotherEntry.forge({ id: 2 }));
+            link(entry.related('parent'), 'parent', AnotherEntry.forge({ id: 3 }));
+            entry.toJSON({
+              ensureRelationsLoaded: { entries: { '': [ 'author' ], '*': [], '*.*': [ 'author' ] } }
+            }).then(function() {
+              expect(ensured).to.eql([ ':author', 'parent.parent:author' ]);
+            })
+            .asCallback(done);
+          });
+        });
+      });
+      describe('accessor', function() {
+        it('should use this option value as the accessor, when serializing', function(done) {
+          var model = User.forge(stubs.users.elephant1);
+          var serializationResultPromise =
+            model.toJSON({ accessor: { user: { id: stubs.users.elephant1.id } } })
+              .then(function(result) {
+                expect(result).to.eql({
+                  id: '3fe94198-7b32-44ee-abdd-04104b902c51',
+                  username: 'elephant1',
+                  email: 'elephant1@example.com',
+                  created_at: '2016-01-03T04:07:51.690Z'
+                });
+                done();
+              });
+        });
+        it('should give precedence to this option value over `model._accessor` set during instantiation, when serializing', function(done) {
+          var model = User.forge(stubs.users.elephant1, { accessor: { user: { id: stubs.users.elephant1.id } } });
+          expect(model._accessor).to.eql({ user: { id: stubs.users.elephant1.id } });
+          var serializationResultPromise =
+            model.toJSON({ accessor: { user: null } })
+              .then(function(result) {
+                expect(result).to.eql({
+                  id: '3fe94198-7b32-44ee-abdd-04104b902c51',
+                  username: 'elephant1',
+                  created_at: '2016-01-03T04:07:51.690Z'
+                });
+                done();
               });
         });
         it('should give precedence to this option value over `model._accessor` set via `model.setAccessor()`, when serializing', function(done) {
@@ -993,51 +2070,1145 @@ describe('Model', function() {
             )[step - 1]();
           });
 
-          Group.forge({ id: 'b0a94a70-2db7-4063-ad0d-0ef39412bfd2' }, {
-            accessor: { user: { id: stubs.users.antelope99.id } }
+          Group.forge({ id: 'b0a94a70-2db7-4063-ad0d-0ef39412bfd2' }, {
+            accessor: { user: { id: stubs.users.antelope99.id } }
+          })
+          .fetch()
+          .then(function(model) {
+            model.load('admins').then(function() {
+              var admins = model.related('admins');
+              admins.each(function(admin) {
+                expect(admin._accessor).to.eql({ user: { id: stubs.users.antelope99.id } });
+              });
+              model.toJSON({
+                ensureRelationsLoaded: {
+                  groups: ['admins']
+                },
+                accessor: { user: { id: stubs.users.ostrich14.id } }
+              }).then(function(result) {
+                expect(result).to.eql({
+                  id: 'b0a94a70-2db7-4063-ad0d-0ef39412bfd2',
+                  name: 'Neo-Post-Tangential Economics Society',
+                  admins: [{
+                    id: '3d33e941-e23e-41fa-8807-03e87ce7baa8',
+                    username: 'antelope99',
+                    created_at: '2016-02-03T04:07:51.690Z'
+                    // We don't expect antelope99's email address, because
+                    // only antelope99 herself may see her email address, but we
+                    // expect the accessor taking precedence to be the ostrich14 user.
+                  }],
+                  members: [{
+                    id: '140fb3a9-f688-4852-b917-5287c228f45f',
+                    username: 'ostrich14',
+                    email: 'ostrich14@example.com',
+                    created_at: '2016-03-03T04:07:51.690Z'
+                    // Conversely, we expect ostrich14's email address, because
+                    // we expect the accessor taking precedence to be ostrich14, whereas
+                    // we wouldn't expect the email address if the accessor taking
+                    // precedence were antelop99.
+                  }]
+                });
+
+                tracker.uninstall();
+                done();
+              });
+            });
+          });
+        });
+      });
+      describe('roleCache', function() {
+        var roleDeterminerCalls;
+        var Tune = bookshelf.Model.extend({
+          tableName: 'tunes',
+          roleDeterminer: function() {
+            roleDeterminerCalls++;
+            return 'anyone';
+          },
+          rolesToVisibleProperties: { anyone: [ 'id', 'name', 'coverOf' ] }
+        });
+        var UnmemoizedTune = Tune.extend({ memoizeRoleDeterminer: false });
+        var accessor = { user: { id: stubs.users.elephant1.id } };
+
+        // A tune that is a cover of a tune that is itself a cover of the
+        // first tune, to reach a model with the same table and id twice.
+        var forgeCoverChain = function(TuneClass) {
+          var tune = TuneClass.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: accessor });
+          var cover = TuneClass.forge({ id: 2, name: 'All Along the Watchtower (cover)' }, { accessor: accessor });
+          tune.relations.coverOf = cover;
+          cover.relations.coverOf = TuneClass.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: accessor });
+          return tune;
+        };
+
+        beforeEach(function() {
+          roleDeterminerCalls = 0;
+        });
+
+        it('should determine the role of a model reached several times once per serialization', function(done) {
+          forgeCoverChain(Tune).toJSON().then(function(result) {
+            expect(result.coverOf.coverOf).to.eql({ id: 1, name: 'All Along the Watchtower' });
+            expect(roleDeterminerCalls).to.equal(2);
+          })
+          .asCallback(done);
+        });
+        it('should not share the cache between separate calls to toJSON by default', function(done) {
+          var tune = Tune.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: accessor });
+          var options = {};
+          tune.toJSON(options).then(function() {
+            return tune.toJSON(options);
+          }).then(function() {
+            expect(roleDeterminerCalls).to.equal(2);
+            expect(options).to.eql({});
+          })
+          .asCallback(done);
+        });
+        it('should share the cache between calls to toJSON that are passed the same roleCache', function(done) {
+          var roleCache = {};
+          var tune = Tune.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: accessor });
+          tune.toJSON({ roleCache: roleCache }).then(function() {
+            return tune.toJSON({ roleCache: roleCache });
+          }).then(function() {
+            expect(roleDeterminerCalls).to.equal(1);
+          })
+          .asCallback(done);
+        });
+        it('should cache roles separately for each accessor', function(done) {
+          var roleCache = {};
+          var tune = Tune.forge({ id: 1, name: 'All Along the Watchtower' });
+          tune.toJSON({ roleCache: roleCache, accessor: accessor }).then(function() {
+            return tune.toJSON({ roleCache: roleCache, accessor: { user: null } });
+          }).then(function() {
+            expect(roleDeterminerCalls).to.equal(2);
+          })
+          .asCallback(done);
+        });
+        it('should not cache roles of models whose class sets memoizeRoleDeterminer to false', function(done) {
+          forgeCoverChain(UnmemoizedTune).toJSON().then(function() {
+            expect(roleDeterminerCalls).to.equal(3);
+          })
+          .asCallback(done);
+        });
+        it('should reject a truthy roleCache that is not an object', function() {
+          expect(function() {
+            Tune.forge({ id: 1 }).toJSON({ roleCache: 'foo' });
+          }).to.throwException(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('roleCache must be an object');
+          });
+        });
+      });
+      describe('invisibleModels', function() {
+        var Tune = bookshelf.Model.extend({
+          tableName: 'tunes',
+          roleDeterminer: function(accessor) { return accessor.role; },
+          rolesToVisibleProperties: {
+            listener: [ 'id', 'name', 'coverOf' ],
+            stranger: []
+          }
+        });
+        var forgeCover = function() {
+          var tune = Tune.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: { role: 'listener' } });
+          tune.relations.coverOf = Tune.forge({ id: 2, name: 'Secret' }, { accessor: { role: 'stranger' } });
+          return tune;
+        };
+
+        it('should default to omitting invisible models', function(done) {
+          forgeCover().toJSON().then(function(result) {
+            expect(result).to.eql({ id: 1, name: 'All Along the Watchtower', coverOf: undefined });
+          })
+          .asCallback(done);
+        });
+        it('should serialize invisible models as null in `null` mode', function(done) {
+          forgeCover().toJSON({ invisibleModels: 'null' }).then(function(result) {
+            expect(result).to.eql({ id: 1, name: 'All Along the Watchtower', coverOf: null });
+          })
+          .asCallback(done);
+        });
+        it('should serialize only the id of invisible models in `stub` mode by default', function(done) {
+          forgeCover().toJSON({ invisibleModels: 'stub' }).then(function(result) {
+            expect(result).to.eql({ id: 1, name: 'All Along the Watchtower', coverOf: { id: 2 } });
+          })
+          .asCallback(done);
+        });
+        it('should serialize the stubProperties of invisible models in `stub` mode', function(done) {
+          forgeCover().toJSON({
+            invisibleModels: 'stub',
+            stubProperties: { tunes: [ 'id', 'name' ] }
+          }).then(function(result) {
+            expect(result.coverOf).to.eql({ id: 2, name: 'Secret' });
+          })
+          .asCallback(done);
+        });
+        it('should reject with an error identifying the invisible model in `throw` mode', function(done) {
+          forgeCover().toJSON({ invisibleModels: 'throw' }).catch(function(e) {
+            expect(e).to.be.a(InvisibleModelError);
+            expect(e.message).to.equal('Model of table tunes with id 2 has no visible properties');
+            expect(e.tableName).to.equal('tunes');
+            expect(e.id).to.equal(2);
+            done();
+          });
+        });
+        it('should treat models with no context-specific visible properties as invisible', function(done) {
+          Tune.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: { role: 'listener' } })
+            .toJSON({
+              invisibleModels: 'null',
+              contextSpecificVisibleProperties: { tunes: [ 'albumName' ] }
+            })
+            .then(function(result) {
+              expect(result).to.equal(null);
+            })
+            .asCallback(done);
+        });
+        it('should reject a value that is not a mode', function() {
+          expect(function() {
+            forgeCover().toJSON({ invisibleModels: 'hide' });
+          }).to.throwException(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('invisibleModels option must be one of: omit, null, stub, throw.');
+          });
+        });
+      });
+      describe('select', function() {
+        var forgeComment = function() {
+          var comment = Comment.forge({ id: 2, content: 'Hello', author_id: 10, parent_id: 1 });
+          comment.relations.author = User.forge({ id: 10, username: 'elephant1', email: 'e@example.com' });
+          comment.relations.parent = Comment.forge({ id: 1, content: 'Hi', author_id: 11 });
+          comment.relations.parent.relations.author = User.forge({ id: 11, username: 'antelope99' });
+          comment.relations.children = Comment.collection([
+            Comment.forge({ id: 3, content: 'Hey', author_id: 12, parent_id: 2 })
+          ]);
+          comment.relations.children.models[0].relations.author = User.forge({ id: 12, username: 'gazelle22' });
+          return comment;
+        };
+
+        it('should serialize the selected properties of each relation', function(done) {
+          forgeComment().toJSON({
+            accessor: { user: { id: 10 } },
+            select: 'id,content,author{username},parent{id,author{username}},children{id,author{username}}'
+          })
+          .then(function(result) {
+            expect(result).to.eql({
+              id: 2,
+              content: 'Hello',
+              author: { username: 'elephant1' },
+              parent: { id: 1, author: { username: 'antelope99' } },
+              children: [ { id: 3, author: { username: 'gazelle22' } } ]
+            });
+          })
+          .asCallback(done);
+        });
+        it('should never serialize properties the role cannot see', function(done) {
+          forgeComment().toJSON({
+            accessor: { user: { id: 11 } },
+            select: 'id,author{ username, email }'
+          })
+          .then(function(result) {
+            expect(result).to.eql({ id: 2, author: { username: 'elephant1' } });
+          })
+          .asCallback(done);
+        });
+        it('should support patterns', function(done) {
+          forgeComment().toJSON({
+            accessor: { user: { id: 10 } },
+            select: '*,-content,-parent,-children,author{*,-email}'
+          })
+          .then(function(result) {
+            expect(result).to.eql({ id: 2, author: { id: 10, username: 'elephant1' } });
+          })
+          .asCallback(done);
+        });
+        it('should reject an invalid selection', function() {
+          expect(function() {
+            forgeComment().toJSON({ select: 'id,author{username' });
+          }).to.throwException(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('select option is invalid: expected "}" at position 18 of: ' +
+              'id,author{username');
+          });
+          expect(function() {
+            forgeComment().toJSON({ select: 'id,,content' });
+          }).to.throwException(function(e) {
+            expect(e.message).to.equal('select option is invalid: expected a property name at position 3 of: ' +
+              'id,,content');
+          });
+        });
+        it('should reject being combined with contextSpecificVisibleProperties', function() {
+          expect(function() {
+            forgeComment().toJSON({ select: 'id', contextSpecificVisibleProperties: { comments: [ 'id' ] } });
+          }).to.throwException(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('select option cannot be combined with contextSpecificVisibleProperties ' +
+              'or ensureRelationsLoaded');
+          });
+        });
+        it('should apply to each model of a collection', function(done) {
+          Comment.collection([
+            Comment.forge({ id: 1, content: 'Hi' }),
+            Comment.forge({ id: 2, content: 'Hello' })
+          ]).toJSON({ select: 'content' })
+          .then(function(result) {
+            expect(result).to.eql([ { content: 'Hi' }, { content: 'Hello' } ]);
+          })
+          .asCallback(done);
+        });
+      });
+      describe('format', function() {
+        var Person = bookshelf.Model.extend({
+          tableName: 'people',
+          roleDeterminer: function() { return this.get('hidden') ? 'nobody' : 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'name' ], nobody: [] }
+        });
+        var Reply = bookshelf.Model.extend({
+          tableName: 'replies',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'body', 'author' ] }
+        });
+        var Post = bookshelf.Model.extend({
+          tableName: 'posts',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'title', 'author', 'replies' ], idless: [ 'title' ] }
+        });
+        var forgePost = function(id) {
+          var post = Post.forge({ id: id, title: 'Post ' + id });
+          post.relations.author = Person.forge({ id: 1, name: 'Ann' });
+          var firstReply = Reply.forge({ id: id * 10 + 1, body: 'First' });
+          firstReply.relations.author = Person.forge({ id: 1, name: 'Ann' });
+          var secondReply = Reply.forge({ id: id * 10 + 2, body: 'Second' });
+          secondReply.relations.author = Person.forge({ id: 2, name: 'Bob', hidden: true });
+          post.relations.replies = Reply.collection([ firstReply, secondReply ]);
+          return post;
+        };
+        var sortByKey = function(resources) {
+          return _.sortBy(resources, function(resource) {
+            return resource.type + ':' + resource.id;
+          });
+        };
+
+        it('should serialize a model to a JSON:API compound document', function(done) {
+          forgePost(1).toJSON({ format: 'jsonapi' }).then(function(document) {
+            expect(document.data).to.eql({
+              type: 'posts',
+              id: '1',
+              attributes: { title: 'Post 1' },
+              relationships: {
+                author: { data: { type: 'people', id: '1' } },
+                replies: { data: [ { type: 'replies', id: '11' }, { type: 'replies', id: '12' } ] }
+              }
+            });
+            expect(sortByKey(document.included)).to.eql([
+              { type: 'people', id: '1', attributes: { name: 'Ann' }, relationships: {} },
+              {
+                type: 'replies',
+                id: '11',
+                attributes: { body: 'First' },
+                relationships: { author: { data: { type: 'people', id: '1' } } }
+              },
+              { type: 'replies', id: '12', attributes: { body: 'Second' }, relationships: {} }
+            ]);
+          })
+          .asCallback(done);
+        });
+        it('should serialize a collection with its models as the primary data', function(done) {
+          Post.collection([ forgePost(1), forgePost(2) ]).toJSON({ format: 'jsonapi' }).then(function(document) {
+            expect(_.pluck(document.data, 'id')).to.eql([ '1', '2' ]);
+            expect(_.map(sortByKey(document.included), function(resource) {
+              return resource.type + ':' + resource.id;
+            })).to.eql([ 'people:1', 'replies:11', 'replies:12', 'replies:21', 'replies:22' ]);
+          })
+          .asCallback(done);
+        });
+        it('should leave invisible models out of linkage and data in `null` and `stub` modes', function(done) {
+          var Thread = Post.extend({ rolesToVisibleProperties: { anyone: [ 'id', 'author', 'participants' ] } });
+          var forgeThread = function() {
+            var thread = Thread.forge({ id: 1 });
+            thread.relations.author = Person.forge({ id: 2, name: 'Bob', hidden: true });
+            thread.relations.participants = Person.collection([
+              Person.forge({ id: 1, name: 'Ann' }),
+              Person.forge({ id: 2, name: 'Bob', hidden: true })
+            ]);
+            return thread;
+          };
+          BluebirdPromise.mapSeries([ 'null', 'stub' ], function(invisibleModels) {
+            return forgeThread().toJSON({ format: 'jsonapi', invisibleModels: invisibleModels })
+            .then(function(document) {
+              expect(document.data.relationships).to.eql({ participants: { data: [ { type: 'people', id: '1' } ] } });
+              expect(_.pluck(document.included, 'id')).to.eql([ '1' ]);
+
+              return forgeThread().related('participants').toJSON({
+                format: 'jsonapi',
+                invisibleModels: invisibleModels
+              });
+            })
+            .then(function(document) {
+              expect(_.pluck(document.data, 'id')).to.eql([ '1' ]);
+            });
+          })
+          .asCallback(done);
+        });
+        it('should resolve to `null` data for an invisible model', function(done) {
+          Person.forge({ id: 2, hidden: true }).toJSON({ format: 'jsonapi' }).then(function(document) {
+            expect(document).to.eql({ data: null, included: [] });
+          })
+          .asCallback(done);
+        });
+        it('should link an empty related model, as of a null foreign key, as `null`', function(done) {
+          var post = Post.forge({ id: 1, title: 'Post 1', author_id: null });
+          post.relations.author = Person.forge();
+          post.toJSON({ format: 'jsonapi' }).then(function(document) {
+            expect(document.data.relationships).to.eql({ author: { data: null } });
+            expect(document.included).to.eql([]);
+          })
+          .asCallback(done);
+        });
+        it('should reject when the id of a model is not visible', function(done) {
+          Post.forge({ id: 1, title: 'Post' }).toJSON({
+            format: 'jsonapi',
+            accessor: {},
+            contextSpecificVisibleProperties: { posts: [ 'title' ] }
+          }).then(function(document) {
+            expect(document.data.attributes).to.eql({ title: 'Post' });
+
+            var IdlessPost = Post.extend({ roleDeterminer: function() { return 'idless'; } });
+            return IdlessPost.forge({ id: 1, title: 'Post' }).toJSON({ format: 'jsonapi' });
+          }).then(function() {
+            throw new Error('Expected rejection');
+          }, function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('format option jsonapi requires the id of models of table posts ' +
+              'to be visible to the role');
+          })
+          .asCallback(done);
+        });
+        it('should serialize a model to its id and normalized entities', function(done) {
+          forgePost(1).toJSON({ format: 'normalized' }).then(function(normalized) {
+            expect(normalized).to.eql({
+              result: 1,
+              entities: {
+                posts: { 1: { id: 1, title: 'Post 1', author: 1, replies: [ 11, 12 ] } },
+                people: { 1: { id: 1, name: 'Ann' } },
+                replies: { 11: { id: 11, body: 'First', author: 1 }, 12: { id: 12, body: 'Second' } }
+              }
+            });
+          })
+          .asCallback(done);
+        });
+        it('should reference an empty related model, as of a null foreign key, as `null`', function(done) {
+          var post = Post.forge({ id: 1, title: 'Post 1', author_id: null });
+          post.relations.author = Person.forge();
+          post.toJSON({ format: 'normalized' }).then(function(normalized) {
+            expect(normalized).to.eql({
+              result: 1,
+              entities: { posts: { 1: { id: 1, title: 'Post 1', author: null } } }
+            });
+          })
+          .asCallback(done);
+        });
+        it('should serialize a collection to the ids of its models', function(done) {
+          Post.collection([ forgePost(1), forgePost(2) ]).toJSON({ format: 'normalized', invisibleModels: 'stub' })
+          .then(function(normalized) {
+            expect(normalized.result).to.eql([ 1, 2 ]);
+            expect(_.keys(normalized.entities.replies)).to.eql([ '11', '12', '21', '22' ]);
+            expect(normalized.entities.replies[12].author).to.be(2);
+            expect(normalized.entities.people[2]).to.be(undefined);
+          })
+          .asCallback(done);
+        });
+        it('should merge the properties of a model visible in different contexts', function(done) {
+          var Member = Person.extend({
+            rolesToVisibleProperties: { anyone: [ 'id', 'name', 'email' ] }
+          });
+          var post = Post.forge({ id: 1, title: 'Post 1' });
+          post.relations.author = Member.forge({ id: 1, name: 'Ann', email: 'ann@example.com', brief: true });
+          var reply = Reply.forge({ id: 11, body: 'First' });
+          reply.relations.author = Member.forge({ id: 1, name: 'Ann', email: 'ann@example.com' });
+          post.relations.replies = Reply.collection([ reply ]);
+
+          post.toJSON({
+            format: 'normalized',
+            contextDesignator: function() { return this.get('brief') ? 'brief' : 'full'; },
+            contextSpecificVisibleProperties: {
+              people: { brief: [ 'id', 'name' ], full: [ 'id', 'email' ] },
+              posts: { brief: [ '*' ], full: [ '*' ] },
+              replies: { brief: [ '*' ], full: [ '*' ] }
+            }
+          }).then(function(normalized) {
+            expect(normalized.entities.people).to.eql({ 1: { id: 1, name: 'Ann', email: 'ann@example.com' } });
+          })
+          .asCallback(done);
+        });
+        it('should resolve to a `null` result for an invisible model', function(done) {
+          Person.forge({ id: 2, hidden: true }).toJSON({ format: 'normalized' }).then(function(normalized) {
+            expect(normalized).to.eql({ result: null, entities: {} });
+          })
+          .asCallback(done);
+        });
+        it('should reject an unknown format', function() {
+          expect(function() {
+            forgePost(1).toJSON({ format: 'xml' });
+          }).to.throwException(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('format option must be one of: nested, jsonapi, normalized.');
+          });
+        });
+      });
+      describe('explain', function() {
+        var Tune = bookshelf.Model.extend({
+          tableName: 'tunes',
+          roleDeterminer: function(accessor) { return accessor.role; },
+          rolesToVisibleProperties: {
+            listener: [ 'id', 'name', 'coverOf', 'covers' ],
+            stranger: []
+          },
+          coverOf: function() {
+            return this.belongsTo(Tune, 'cover_of_id');
+          },
+          covers: function() {
+            return this.hasMany(Tune, 'cover_of_id');
+          }
+        });
+        var forgeTune = function() {
+          var tune = Tune.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: { role: 'listener' } });
+          tune.relations.coverOf = Tune.forge({ id: 2, name: 'Secret' }, { accessor: { role: 'stranger' } });
+          tune.relations.covers = Tune.collection([
+            Tune.forge({ id: 3, name: 'Cover' }, { accessor: { role: 'listener' } })
+          ]);
+          return tune;
+        };
+
+        it('should resolve to the result and a trace mirroring the relations', function(done) {
+          forgeTune().toJSON({
+            explain: true,
+            contextSpecificVisibleProperties: { tunes: [ 'id', 'name', 'coverOf' ] }
+          }).then(function(explanation) {
+            expect(explanation.result).to.eql({ id: 1, name: 'All Along the Watchtower', coverOf: undefined });
+
+            var trace = explanation.trace;
+            expect(trace.tableName).to.equal('tunes');
+            expect(trace.id).to.equal(1);
+            expect(trace.role).to.equal('listener');
+            expect(trace.roleVisibleProperties).to.eql([ 'id', 'name', 'coverOf', 'covers' ]);
+            expect(trace.contextSpecificVisibleProperties).to.eql([ 'id', 'name', 'coverOf' ]);
+            expect(trace.prunedRelations).to.eql([ 'covers' ]);
+            expect(trace.visibleProperties).to.eql([ 'id', 'name', 'coverOf' ]);
+            expect(_.keys(trace.relations)).to.eql([ 'coverOf' ]);
+            expect(trace.relations.coverOf.id).to.equal(2);
+            expect(trace.relations.coverOf.role).to.equal('stranger');
+            expect(trace.relations.coverOf.visible).to.equal(false);
+            expect(trace.relations.coverOf.droppedByRole).to.eql([ 'id', 'name' ]);
+          })
+          .asCallback(done);
+        });
+        it('should trace the models of collection relations as arrays', function(done) {
+          forgeTune().toJSON({ explain: true }).then(function(explanation) {
+            expect(explanation.result.covers).to.eql([ { id: 3, name: 'Cover' } ]);
+            expect(explanation.trace.relations.covers).to.have.length(1);
+            expect(explanation.trace.relations.covers[0].id).to.equal(3);
+            expect(explanation.trace.relations.covers[0].relations).to.eql({});
+          })
+          .asCallback(done);
+        });
+        it('should trace the relations loaded by `ensureRelationsLoaded`', function(done) {
+          var tune = Tune.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: { role: 'listener' } });
+          tune.relations.coverOf = Tune.forge({ id: 2, name: 'Secret' }, { accessor: { role: 'stranger' } });
+
+          tune.toJSON({
+            explain: true,
+            contextDesignator: function(tableName, relationChain) {
+              return relationChain.length ? 'cover' : 'tune';
+            },
+            ensureRelationsLoaded: { tunes: { tune: [ 'coverOf' ], cover: [] } }
+          }).then(function(explanation) {
+            expect(explanation.trace.ensuredRelations).to.eql([ 'coverOf' ]);
+            expect(explanation.trace.relations.coverOf.contextDesignation).to.equal('cover');
+            expect(explanation.trace.relations.coverOf.ensuredRelations).to.eql([]);
+          })
+          .asCallback(done);
+        });
+        it('should resolve to a trace that is an array for collections', function(done) {
+          Tune.collection([
+            Tune.forge({ id: 1, name: 'All Along the Watchtower' }, { accessor: { role: 'listener' } }),
+            Tune.forge({ id: 2, name: 'Secret' }, { accessor: { role: 'stranger' } })
+          ]).toJSON({ explain: true }).then(function(explanation) {
+            expect(explanation.result).to.eql([ { id: 1, name: 'All Along the Watchtower' } ]);
+            expect(_.pluck(explanation.trace, 'id')).to.eql([ 1, 2 ]);
+            expect(_.pluck(explanation.trace, 'visible')).to.eql([ true, false ]);
+          })
+          .asCallback(done);
+        });
+      });
+      describe('strict', function() {
+        var StrictModeError = require('../lib/errors.js').BookshelfAdvancedSerializationPluginStrictModeError;
+        var forgeComment = function() {
+          return Comment.forge({ id: 1, content: 'Hello', author_id: stubs.users.elephant1.id });
+        };
+
+        it('should accept listing attributes and relations', function(done) {
+          forgeComment().toJSON({
+            strict: true,
+            contextSpecificVisibleProperties: { comments: [ 'id', 'content', 'author' ] }
+          }).then(function(result) {
+            expect(result).to.eql({ id: 1, content: 'Hello' });
+          })
+          .asCallback(done);
+        });
+        it('should reject listing a property that is neither an attribute nor a relation', function(done) {
+          forgeComment().toJSON({
+            strict: true,
+            contextSpecificVisibleProperties: { comments: [ 'id', 'autor' ] }
+          }).catch(function(e) {
+            expect(e).to.be.a(StrictModeError);
+            expect(e.message).to.equal('contextSpecificVisibleProperties for table comments lists ' +
+              'properties that are neither attributes nor relations of the model: autor');
+            expect(e.option).to.equal('contextSpecificVisibleProperties');
+            expect(e.names).to.eql([ 'autor' ]);
+            done();
+          });
+        });
+        it('should check the names in patterns', function(done) {
+          forgeComment().toJSON({
+            strict: true,
+            contextSpecificVisibleProperties: { comments: [ '*', '-contnet' ] }
+          }).catch(function(e) {
+            expect(e).to.be.a(StrictModeError);
+            expect(e.names).to.eql([ 'contnet' ]);
+            done();
+          });
+        });
+        it('should not reject listing such a property when not strict', function(done) {
+          forgeComment().toJSON({
+            contextSpecificVisibleProperties: { comments: [ 'id', 'autor' ] }
+          }).then(function(result) {
+            expect(result).to.eql({ id: 1 });
+          })
+          .asCallback(done);
+        });
+        it('should reject a key that identifies no registered model', function(done) {
+          forgeComment().toJSON({
+            strict: true,
+            ensureRelationsLoaded: { coments: [ 'author' ] }
+          }).catch(function(e) {
+            expect(e).to.be.a(StrictModeError);
+            expect(e.message).to.equal('ensureRelationsLoaded contains keys that identify no ' +
+              'registered model: coments');
+            expect(e.names).to.eql([ 'coments' ]);
+            done();
+          });
+        });
+        it('should reject ensuring a relation that is not a relation of the model', function(done) {
+          forgeComment().toJSON({
+            strict: true,
+            ensureRelationsLoaded: { comments: [ 'content', 'toJSON' ] }
+          }).catch(function(e) {
+            expect(e).to.be.a(StrictModeError);
+            expect(e.message).to.equal('ensureRelationsLoaded for table comments lists names that are ' +
+              'not relations of the model: content, toJSON');
+            expect(e.names).to.eql([ 'content', 'toJSON' ]);
+            done();
+          });
+        });
+        it('should accept properties declared for a role that the model lacks', function(done) {
+          Comment.forge({ id: 1 }).toJSON({
+            strict: true,
+            contextSpecificVisibleProperties: { comments: [ 'id', 'content' ] }
+          }).then(function(result) {
+            expect(result).to.eql({ id: 1 });
+          })
+          .asCallback(done);
+        });
+        it('should call a method listed as a relation at most once per model class', function(done) {
+          var calls = 0;
+          var CountingComment = Comment.extend({
+            markAllRead: function() {
+              calls++;
+            }
+          });
+          BluebirdPromise.all(_.map([ 1, 2 ], function(id) {
+            return CountingComment.forge({ id: id }).toJSON({
+              strict: true,
+              ensureRelationsLoaded: { comments: [ 'markAllRead' ] }
+            }).reflect();
+          }))
+          .then(function(inspections) {
+            expect(_.invoke(inspections, 'isRejected')).to.eql([ true, true ]);
+            expect(calls).to.equal(1);
+          })
+          .asCallback(done);
+        });
+        it('should not call a method listed as a relation that is not visible when not strict', function(done) {
+          var calls = 0;
+          var warnings = [];
+          var anotherBookshelf = require('bookshelf')(knex);
+          anotherBookshelf.plugin(plugin({
+            logger: {
+              warn: function(message) {
+                warnings.push(message);
+              }
+            }
+          }));
+          var CountingComment = anotherBookshelf.Model.extend({
+            tableName: 'comments',
+            roleDeterminer: function() { return 'anyone'; },
+            rolesToVisibleProperties: { anyone: [ 'id' ] },
+            markAllRead: function() {
+              calls++;
+            }
+          });
+          CountingComment.forge({ id: 1 }).toJSON({
+            ensureRelationsLoaded: { comments: [ 'markAllRead' ] }
+          })
+          .then(function() {
+            expect(calls).to.equal(0);
+            expect(warnings).to.eql([ 'You have specified relation names in `ensureRelationsLoaded` which are ' +
+              'not visible properties: markAllRead. These relations will not be loaded, because option ' +
+              'ensureRelationsVisibleAndInvisible is `false`.' ]);
+          })
+          .asCallback(done);
+        });
+        it('should not call a method named like an attribute of the model', function(done) {
+          var calls = 0;
+          var PinnedComment = Comment.extend({
+            pinned: function() {
+              calls++;
+            }
+          });
+          PinnedComment.forge({ id: 1, pinned: true }).toJSON({
+            strict: true,
+            contextSpecificVisibleProperties: { comments: [ 'id', 'pinned' ] }
+          })
+          .then(function() {
+            expect(calls).to.equal(0);
+          })
+          .asCallback(done);
+        });
+        it('should default to the `strict` plugin option', function(done) {
+          var anotherBookshelf = require('bookshelf')(knex);
+          anotherBookshelf.plugin('registry');
+          anotherBookshelf.plugin(plugin({ strict: true }));
+
+          require('../examples/rest-api/Comment.js')(anotherBookshelf)
+          .forge({ id: 1 })
+          .toJSON({ contextSpecificVisibleProperties: { comments: [ 'autor' ] } })
+          .catch(function(e) {
+            expect(e).to.be.a(StrictModeError);
+            done();
+          });
+        });
+        it('should reject a `strict` plugin option that is not a boolean', function() {
+          expect(function() {
+            plugin({ strict: 'yes' });
+          }).to.throwException(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('strict passed as plugin option must be a boolean.');
+          });
+        });
+      });
+      describe('model types', function() {
+        var anotherBookshelf = require('bookshelf')(knex);
+        anotherBookshelf.plugin('registry');
+        anotherBookshelf.plugin(plugin());
+
+        var Member = anotherBookshelf.model('Member', anotherBookshelf.Model.extend({
+          tableName: 'users',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'username', 'email' ] }
+        }));
+        var Admin = anotherBookshelf.Model.extend({
+          tableName: 'users',
+          serializationType: 'admin',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'username', 'email' ] }
+        });
+        var Unregistered = anotherBookshelf.Model.extend({
+          tableName: 'users',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'username', 'email' ] }
+        });
+        var attributes = { id: 1, username: 'elephant1', email: 'elephant1@example.com' };
+        var options = {
+          contextSpecificVisibleProperties: {
+            Member: [ 'id', 'username' ],
+            admin: [ 'id', 'email' ],
+            users: [ 'id' ]
+          }
+        };
+
+        it('should index options by registry name', function(done) {
+          Member.forge(attributes).toJSON(options).then(function(result) {
+            expect(result).to.eql({ id: 1, username: 'elephant1' });
+          })
+          .asCallback(done);
+        });
+        it('should index options by `serializationType`', function(done) {
+          Admin.forge(attributes).toJSON(options).then(function(result) {
+            expect(result).to.eql({ id: 1, email: 'elephant1@example.com' });
+          })
+          .asCallback(done);
+        });
+        it('should fall back to indexing options by `tableName`', function(done) {
+          BluebirdPromise.join(
+            Unregistered.forge(attributes).toJSON(options),
+            Member.forge(attributes).toJSON({ contextSpecificVisibleProperties: { users: [ 'id' ] } })
+          ).spread(function(unregisteredResult, memberResult) {
+            expect(unregisteredResult).to.eql({ id: 1 });
+            expect(memberResult).to.eql({ id: 1 });
+          })
+          .asCallback(done);
+        });
+        it('should index options by the registry name of each class, not of the class it extends', function(done) {
+          var Moderator = anotherBookshelf.model('Moderator', Member.extend({}));
+          Member.forge(attributes).toJSON(options).then(function(memberResult) {
+            expect(memberResult).to.eql({ id: 1, username: 'elephant1' });
+            return Moderator.forge(attributes).toJSON(_.extend({}, options, {
+              contextSpecificVisibleProperties: _.extend({ Moderator: [ 'email' ] }, options.contextSpecificVisibleProperties)
+            }));
+          }).then(function(moderatorResult) {
+            expect(moderatorResult).to.eql({ email: 'elephant1@example.com' });
+          })
+          .asCallback(done);
+        });
+        it('should name the type by which an option was looked up in errors', function(done) {
+          BluebirdPromise.join(
+            Member.forge(attributes).toJSON({ contextSpecificVisibleProperties: { Member: { author: [ 'id' ] } } })
+              .reflect(),
+            Member.forge(attributes).toJSON({ ensureRelationsLoaded: { Member: 'author' } }).reflect()
+          ).spread(function(contextSpecificInspection, ensureInspection) {
+            expect(contextSpecificInspection.reason().message).to.equal('contextSpecificVisibleProperties.Member ' +
+              'has no key matching the relation path \'\', and options contain no contextDesignator function');
+            expect(ensureInspection.reason().message).to.equal('ensureRelationsLoaded.Member must be an array, ' +
+              'or an object whose keys are strings returned by the options.contextDesignator function ' +
+              '(or relation paths) and whose values are arrays.');
+          })
+          .asCallback(done);
+        });
+        it('should not share cached roles between types of the same table', function(done) {
+          var MemberWithRole = anotherBookshelf.Model.extend({
+            tableName: 'users',
+            serializationType: 'memberWithRole',
+            roleDeterminer: function() { return 'member'; },
+            rolesToVisibleProperties: { member: [ 'id' ], admin: [ 'id', 'email' ] }
+          });
+          var AdminWithRole = MemberWithRole.extend({
+            serializationType: 'adminWithRole',
+            roleDeterminer: function() { return 'admin'; }
+          });
+          var roleCache = {};
+          MemberWithRole.forge(attributes).toJSON({ roleCache: roleCache }).then(function(memberResult) {
+            expect(memberResult).to.eql({ id: 1 });
+            return AdminWithRole.forge(attributes).toJSON({ roleCache: roleCache });
+          }).then(function(adminResult) {
+            expect(adminResult).to.eql({ id: 1, email: 'elephant1@example.com' });
+          })
+          .asCallback(done);
+        });
+      });
+      describe('mutate', function() {
+        var tracker = mockKnex.getTracker();
+        var Author = bookshelf.Model.extend({
+          tableName: 'authors',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'name' ] }
+        });
+        var Book = bookshelf.Model.extend({
+          tableName: 'books',
+          roleDeterminer: function(accessor) { return accessor.role; },
+          rolesToVisibleProperties: { reader: [ 'id', 'title', 'author' ], stranger: [ 'id' ] },
+          author: function() {
+            return this.belongsTo(Author, 'author_id');
+          }
+        });
+        var forgeBook = function() {
+          var book = Book.forge({ id: 1, title: 'Emma', author_id: 2 });
+          var author = Author.forge({ id: 2, name: 'Jane' });
+          author.relations.books = Book.collection([ Book.forge({ id: 3, title: 'Persuasion' }) ]);
+          book.relations.author = author;
+          return book;
+        };
+        beforeEach(function() {
+          tracker.install();
+          tracker.on('query', function sendResult(query) {
+            query.response([ { id: 2, name: 'Jane' } ]);
+          });
+        });
+        afterEach(function() {
+          tracker.uninstall();
+        });
+
+        it('should remove invisible relations from the model by default', function(done) {
+          var book = forgeBook();
+          book.toJSON({ accessor: { role: 'stranger' } }).then(function(result) {
+            expect(result).to.eql({ id: 1 });
+            expect(book.relations).to.eql({});
+          })
+          .asCallback(done);
+        });
+        it('should leave the relations of the model and its relations\' models as they were with `false`',
+          function(done) {
+            var book = forgeBook();
+            var author = book.relations.author;
+            var books = author.relations.books;
+            book.toJSON({ accessor: { role: 'reader' }, mutate: false }).then(function(result) {
+              expect(result).to.eql({ id: 1, title: 'Emma', author: { id: 2, name: 'Jane' } });
+              expect(book.relations.author).to.be(author);
+              expect(author.relations.books).to.be(books);
+              expect(books.models[0].attributes).to.eql({ id: 3, title: 'Persuasion' });
+            })
+            .asCallback(done);
+          }
+        );
+        it('should not load relations onto the model with `false`', function(done) {
+          var book = Book.forge({ id: 1, title: 'Emma', author_id: 2 });
+          book.toJSON({
+            accessor: { role: 'reader' },
+            mutate: false,
+            ensureRelationsLoaded: { books: [ 'author' ] }
+          }).then(function(result) {
+            expect(result).to.eql({ id: 1, title: 'Emma', author: { id: 2, name: 'Jane' } });
+            expect(book.relations).to.eql({});
+          })
+          .asCallback(done);
+        });
+        it('should allow serializing the same model for several accessors with `false`', function(done) {
+          var book = forgeBook();
+          book.toJSON({ accessor: { role: 'stranger' }, mutate: false }).then(function(strangerResult) {
+            expect(strangerResult).to.eql({ id: 1 });
+            return book.toJSON({ accessor: { role: 'reader' }, mutate: false });
+          }).then(function(readerResult) {
+            expect(readerResult).to.eql({ id: 1, title: 'Emma', author: { id: 2, name: 'Jane' } });
+          })
+          .asCallback(done);
+        });
+        it('should apply to the models of a collection', function(done) {
+          var book = forgeBook();
+          Book.collection([ book ]).toJSON({ accessor: { role: 'stranger' }, mutate: false }).then(function(result) {
+            expect(result).to.eql([ { id: 1 } ]);
+            expect(_.keys(book.relations)).to.eql([ 'author' ]);
+          })
+          .asCallback(done);
+        });
+      });
+      describe('concurrency', function() {
+        var inFlight;
+        var maxInFlight;
+        var track = function(value) {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          return BluebirdPromise.delay(1).then(function() {
+            inFlight--;
+            return value;
+          });
+        };
+        var Track = bookshelf.Model.extend({
+          tableName: 'tracks',
+          memoizeRoleDeterminer: false,
+          roleDeterminer: function() { return track('anyone'); },
+          rolesToVisibleProperties: { anyone: [ 'id', 'samples' ] }
+        });
+        var forgeTracks = function() {
+          return Track.collection(_.map(_.range(1, 5), function(id) {
+            var track = Track.forge({ id: id });
+            track.relations.samples = Track.collection([ Track.forge({ id: id * 10 }), Track.forge({ id: id * 10 + 1 }) ]);
+            return track;
+          }));
+        };
+        beforeEach(function() {
+          inFlight = 0;
+          maxInFlight = 0;
+        });
+
+        it('should not limit calls to `roleDeterminer` by default', function(done) {
+          forgeTracks().toJSON().then(function(result) {
+            expect(result.length).to.equal(4);
+            expect(maxInFlight).to.be.greaterThan(2);
           })
-          .fetch()
-          .then(function(model) {
-            model.load('admins').then(function() {
-              var admins = model.related('admins');
-              admins.each(function(admin) {
-                expect(admin._accessor).to.eql({ user: { id: stubs.users.antelope99.id } });
-              });
-              model.toJSON({
-                ensureRelationsLoaded: {
-                  groups: ['admins']
-                },
-                accessor: { user: { id: stubs.users.ostrich14.id } }
-              }).then(function(result) {
-                expect(result).to.eql({
-                  id: 'b0a94a70-2db7-4063-ad0d-0ef39412bfd2',
-                  name: 'Neo-Post-Tangential Economics Society',
-                  admins: [{
-                    id: '3d33e941-e23e-41fa-8807-03e87ce7baa8',
-                    username: 'antelope99',
-                    created_at: '2016-02-03T04:07:51.690Z'
-                    // We don't expect antelope99's email address, because
-                    // only antelope99 herself may see her email address, but we
-                    // expect the accessor taking precedence to be the ostrich14 user.
-                  }],
-                  members: [{
-                    id: '140fb3a9-f688-4852-b917-5287c228f45f',
-                    username: 'ostrich14',
-                    email: 'ostrich14@example.com',
-                    created_at: '2016-03-03T04:07:51.690Z'
-                    // Conversely, we expect ostrich14's email address, because
-                    // we expect the accessor taking precedence to be ostrich14, whereas
-                    // we wouldn't expect the email address if the accessor taking
-                    // precedence were antelop99.
-                  }]
-                });
-
-                tracker.uninstall();
-                done();
+          .asCallback(done);
+        });
+        it('should limit calls to `roleDeterminer` across the tree of relations', function(done) {
+          forgeTracks().toJSON({ concurrency: 2 }).then(function(result) {
+            expect(result[3]).to.eql({ id: 4, samples: [ { id: 40 }, { id: 41 } ] });
+            expect(maxInFlight).to.equal(2);
+          })
+          .asCallback(done);
+        });
+        it('should limit relation loads across the tree of relations', function(done) {
+          var anotherBookshelf = require('bookshelf')(knex);
+          anotherBookshelf.plugin('registry');
+          anotherBookshelf.plugin(plugin({
+            handleEnsureRelation: function(relationName) {
+              return track().bind(this).then(function() {
+                this.relations[relationName] = this.constructor.collection([]);
               });
+            }
+          }));
+          var AnotherTrack = anotherBookshelf.Model.extend({
+            tableName: 'tracks',
+            roleDeterminer: function() { return 'anyone'; },
+            rolesToVisibleProperties: { anyone: [ 'id', 'samples', 'remixes' ] }
+          });
+          AnotherTrack.collection(_.map(_.range(1, 5), function(id) {
+            return AnotherTrack.forge({ id: id });
+          }))
+          .toJSON({ concurrency: 3, ensureRelationsLoaded: { tracks: [ 'samples', 'remixes' ] } })
+          .then(function(result) {
+            expect(result[0]).to.eql({ id: 1, samples: [], remixes: [] });
+            expect(maxInFlight).to.equal(3);
+          })
+          .asCallback(done);
+        });
+        it('should reject a value that is not a positive integer', function() {
+          expect(function() {
+            forgeTracks().toJSON({ concurrency: 1.5 });
+          }).to.throwException(function(e) {
+            expect(e).to.be.a(SanityError);
+            expect(e.message).to.equal('concurrency option must be a positive integer');
+          });
+        });
+      });
+      describe('dedupe', function() {
+        var tracker = mockKnex.getTracker();
+        var queries;
+        var serializedNames;
+        var Person = bookshelf.Model.extend({
+          tableName: 'persons',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'name', 'friends' ] },
+          rolesToPropertyTransforms: {
+            anyone: {
+              name: function(name) {
+                serializedNames.push(name);
+                return name;
+              }
+            }
+          }
+        });
+        var Remark = bookshelf.Model.extend({
+          tableName: 'remarks',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'author' ] },
+          author: function() {
+            return this.belongsTo(Person, 'author_id');
+          }
+        });
+        var Essay = bookshelf.Model.extend({
+          tableName: 'essays',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'author', 'remarks' ] },
+          author: function() {
+            return this.belongsTo(Person, 'author_id');
+          },
+          remarks: function() {
+            return this.hasMany(Remark, 'essay_id');
+          }
+        });
+        var Club = bookshelf.Model.extend({
+          tableName: 'clubs',
+          roleDeterminer: function() { return 'anyone'; },
+          rolesToVisibleProperties: { anyone: [ 'id', 'admins', 'members' ] },
+          admins: function() {
+            return this.belongsToMany(Person, 'club_admins', 'club_id', 'person_id');
+          },
+          members: function() {
+            return this.belongsToMany(Person, 'club_members', 'club_id', 'person_id');
+          }
+        });
+        var rowsByTable = {
+          club_admins: [ { id: 1, name: 'Ann', _pivot_club_id: 1, _pivot_person_id: 1 } ],
+          club_members: [ { id: 1, name: 'Ann', _pivot_club_id: 1, _pivot_person_id: 1 } ],
+          persons: [ { id: 1, name: 'Ann' } ],
+          remarks: [ { id: 1, essay_id: 1, author_id: 1 }, { id: 2, essay_id: 1, author_id: 1 } ]
+        };
+        var options = {
+          ensureRelationsLoaded: { essays: [ 'author', 'remarks' ], remarks: [ 'author' ] }
+        };
+        var expectedResult = {
+          id: 1,
+          author: { id: 1, name: 'Ann' },
+          remarks: [ { id: 1, author: { id: 1, name: 'Ann' } }, { id: 2, author: { id: 1, name: 'Ann' } } ]
+        };
+        beforeEach(function() {
+          queries = [];
+          serializedNames = [];
+          tracker.install();
+          tracker.on('query', function sendResult(query) {
+            queries.push(query.sql);
+            var tableName = _.find(_.keys(rowsByTable), function(tableName) {
+              return query.sql.indexOf(tableName) !== -1;
             });
+            query.response(rowsByTable[tableName]);
           });
         });
+        afterEach(function() {
+          tracker.uninstall();
+        });
+
+        it('should load and serialize a model reached several times anew by default', function(done) {
+          Essay.forge({ id: 1, author_id: 1 }).toJSON(options).then(function(result) {
+            expect(result).to.eql(expectedResult);
+            expect(queries.length).to.equal(3);
+            expect(serializedNames).to.eql([ 'Ann', 'Ann', 'Ann' ]);
+          })
+          .asCallback(done);
+        });
+        it('should reuse known models and serializations with `true`', function(done) {
+          Essay.forge({ id: 1, author_id: 1 }).toJSON(_.extend({ dedupe: true }, options)).then(function(result) {
+            expect(result).to.eql(expectedResult);
+            expect(queries.length).to.equal(2);
+            expect(serializedNames).to.eql([ 'Ann' ]);
+          })
+          .asCallback(done);
+        });
+        it('should load to-many relations anew, but serialize their models once', function(done) {
+          Club.forge({ id: 1 }).toJSON({
+            dedupe: true,
+            ensureRelationsLoaded: { clubs: [ 'admins', 'members' ] }
+          }).then(function(result) {
+            expect(result).to.eql({ id: 1, admins: [ { id: 1, name: 'Ann' } ], members: [ { id: 1, name: 'Ann' } ] });
+            expect(queries.length).to.equal(2);
+            expect(serializedNames).to.eql([ 'Ann' ]);
+          })
+          .asCallback(done);
+        });
+        it('should not reuse a serialization in a different context', function(done) {
+          Essay.forge({ id: 1, author_id: 1 }).toJSON(_.extend({
+            dedupe: true,
+            contextDesignator: function(tableName, relationChain) {
+              return relationChain.length > 1 ? 'remark' : 'essay';
+            },
+            contextSpecificVisibleProperties: {
+              persons: { essay: [ 'id', 'name' ], remark: [ 'name' ] }
+            }
+          }, options)).then(function(result) {
+            expect(result.author).to.eql({ id: 1, name: 'Ann' });
+            expect(_.pluck(result.remarks, 'author')).to.eql([ { name: 'Ann' }, { name: 'Ann' } ]);
+            expect(queries.length).to.equal(2);
+            expect(serializedNames).to.eql([ 'Ann', 'Ann' ]);
+          })
+          .asCallback(done);
+        });
+        it('should not reuse a serialization for a different relation path', function(done) {
+          Essay.forge({ id: 1, author_id: 1 }).toJSON(_.extend({
+            dedupe: true,
+            contextSpecificVisibleProperties: {
+              persons: { author: [ 'id', 'name' ], 'remarks.author': [ 'id' ] }
+            }
+          }, options)).then(function(result) {
+            expect(result.author).to.eql({ id: 1, name: 'Ann' });
+            expect(_.pluck(result.remarks, 'author')).to.eql([ { id: 1 }, { id: 1 } ]);
+            expect(serializedNames).to.eql([ 'Ann' ]);
+          })
+          .asCallback(done);
+        });
+        it('should not reuse serializations that would await each other', function(done) {
+          var ann = Person.forge({ id: 1, name: 'Ann' });
+          var bob = Person.forge({ id: 2, name: 'Bob' });
+          ann.relations.friends = Person.collection([ Person.forge({ id: 2, name: 'Bob' }) ]);
+          bob.relations.friends = Person.collection([ Person.forge({ id: 1, name: 'Ann' }) ]);
+          Person.collection([ ann, bob ]).toJSON({ dedupe: true }).then(function(result) {
+            expect(result).to.eql([
+              { id: 1, name: 'Ann', friends: [ { id: 2, name: 'Bob', friends: [ { id: 1, name: 'Ann' } ] } ] },
+              { id: 2, name: 'Bob', friends: [ { id: 1, name: 'Ann' } ] }
+            ]);
+          })
+          .asCallback(done);
+        });
       });
       describe('shallow', function() {
         var tracker = mockKnex.getTracker();
@@ -1464,6 +3635,88 @@ describe('Model', function() {
       });
     });
   });
+  describe('optionsFromJsonApiQuery', function() {
+    var InvalidIncludeError = require('../lib/errors.js').BookshelfAdvancedSerializationPluginInvalidIncludeError;
+
+    it('should convert fields and include into options for toJSON', function(done) {
+      var comment = Comment.forge({ id: 2, content: 'Hello', author_id: 10, parent_id: 1 });
+      comment.relations.author = User.forge({ id: 10, username: 'elephant1' });
+      comment.relations.parent = Comment.forge({ id: 1, content: 'Hi' });
+      comment.relations.children = Comment.collection([
+        Comment.forge({ id: 3, content: 'Hey', author_id: 12, parent_id: 2 })
+      ]);
+      comment.relations.children.models[0].relations.author = User.forge({ id: 12, username: 'gazelle22' });
+
+      var options = Comment.optionsFromJsonApiQuery({
+        fields: { users: 'username' },
+        include: 'author,children.author'
+      });
+      comment.toJSON(_.extend({ accessor: {} }, options)).then(function(result) {
+        expect(result).to.eql({
+          id: 2,
+          content: 'Hello',
+          author: { username: 'elephant1' },
+          children: [ { id: 3, content: 'Hey', author: { username: 'gazelle22' } } ]
+        });
+      })
+      .asCallback(done);
+    });
+    it('should index the options by type and include path', function() {
+      var options = Comment.optionsFromJsonApiQuery({
+        fields: { Comment: [ 'content' ] },
+        include: [ 'parent' ]
+      });
+      expect(options.contextSpecificVisibleProperties).to.eql({
+        Comment: {
+          '': [ 'content', 'parent', '-author', '-children' ],
+          parent: [ 'content', '-author', '-parent', '-children' ]
+        }
+      });
+      expect(options.ensureRelationsLoaded).to.eql({ Comment: { '': [ 'parent' ], parent: [] } });
+      expect(options.contextDesignator.call({ _accessedAsRelationChain: [ 'parent' ] })).to.equal('parent');
+    });
+    it('should only call the methods that are named in include paths or visible to some role', function() {
+      var calls = 0;
+      var ReadableComment = Comment.extend({
+        markAllRead: function() {
+          calls++;
+        }
+      });
+      var options = ReadableComment.optionsFromJsonApiQuery({ include: 'author' });
+      expect(calls).to.equal(0);
+      expect(options.contextSpecificVisibleProperties.comments['']).to.eql([ '*', 'author', '-parent', '-children' ]);
+    });
+    it('should reject including something that is not a relation', function() {
+      expect(function() {
+        Comment.optionsFromJsonApiQuery({ include: 'children.autor' });
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(InvalidIncludeError);
+        expect(e.message).to.equal('Include path children.autor names something that is not a relation ' +
+          'of models of table comments: autor');
+        expect(e.path).to.equal('children.autor');
+      });
+    });
+    it('should reject include paths deeper than maxIncludeDepth', function() {
+      expect(function() {
+        Comment.optionsFromJsonApiQuery({ include: 'children.author' }, { maxIncludeDepth: 1 });
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(InvalidIncludeError);
+        expect(e.message).to.equal('Include path children.author is deeper than the maximum of 1');
+      });
+    });
+    it('should reject include paths that are not allowed, defaulting to the model class\'s allowedIncludes', function() {
+      var RestrictedComment = Comment.extend({}, { allowedIncludes: [ 'author' ] });
+      expect(function() {
+        RestrictedComment.optionsFromJsonApiQuery({ include: 'author' });
+      }).to.not.throwException();
+      expect(function() {
+        RestrictedComment.optionsFromJsonApiQuery({ include: 'author,children' });
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(InvalidIncludeError);
+        expect(e.message).to.equal('Include path children is not allowed');
+      });
+    });
+  });
   describe('related', function() {
     var tracker = mockKnex.getTracker();
     beforeEach(function() {
@@ -1563,6 +3816,137 @@ describe('Collection', function() {
       });
     });
   });
+  describe('roleDeterminerBatch', function() {
+    var calls;
+    var Tune = bookshelf.Model.extend({
+      tableName: 'tunes',
+      roleDeterminer: function() {
+        calls.roleDeterminer++;
+        return 'listener';
+      },
+      rolesToVisibleProperties: {
+        listener: [ 'id' ],
+        producer: [ 'id', 'name' ]
+      }
+    }, {
+      roleDeterminerBatch: function(models, accessor) {
+        calls.roleDeterminerBatch.push(_.pluck(models, 'id'));
+        return BluebirdPromise.resolve(_.map(models, function(model) {
+          return model.id === accessor.producerOf ? 'producer' : 'listener';
+        }));
+      }
+    });
+    var TuneCollection = bookshelf.Collection.extend({ model: Tune });
+    var accessor = { producerOf: 2 };
+
+    beforeEach(function() {
+      calls = { roleDeterminer: 0, roleDeterminerBatch: [] };
+    });
+
+    it('should determine the roles of all models of the collection in one call', function(done) {
+      TuneCollection.forge([
+        Tune.forge({ id: 1, name: 'Visions of Johanna' }, { accessor: accessor }),
+        Tune.forge({ id: 2, name: 'Desolation Row' }, { accessor: accessor }),
+        Tune.forge({ id: 3, name: 'Tombstone Blues' }, { accessor: accessor })
+      ])
+      .toJSON()
+      .then(function(result) {
+        expect(result).to.eql([
+          { id: 1 },
+          { id: 2, name: 'Desolation Row' },
+          { id: 3 }
+        ]);
+        expect(calls.roleDeterminerBatch).to.eql([ [ 1, 2, 3 ] ]);
+        expect(calls.roleDeterminer).to.equal(0);
+      })
+      .asCallback(done);
+    });
+    it('should call roleDeterminerBatch once per accessor', function(done) {
+      TuneCollection.forge([
+        Tune.forge({ id: 1, name: 'Visions of Johanna' }, { accessor: accessor }),
+        Tune.forge({ id: 2, name: 'Desolation Row' }, { accessor: { producerOf: 1 } })
+      ])
+      .toJSON()
+      .then(function(result) {
+        expect(result).to.eql([ { id: 1 }, { id: 2 } ]);
+        expect(calls.roleDeterminerBatch).to.eql([ [ 1 ], [ 2 ] ]);
+      })
+      .asCallback(done);
+    });
+    it('should fall back to roleDeterminer for models whose class lacks roleDeterminerBatch', function(done) {
+      var roleDeterminerCalls = 0;
+      var Song = bookshelf.Model.extend({
+        tableName: 'songs',
+        roleDeterminer: function() {
+          roleDeterminerCalls++;
+          return 'anyone';
+        },
+        rolesToVisibleProperties: { anyone: [ 'id' ] }
+      });
+      TuneCollection.forge([
+        Tune.forge({ id: 1 }, { accessor: accessor }),
+        Song.forge({ id: 2 }, { accessor: accessor }),
+        Song.forge({ id: 3 }, { accessor: accessor })
+      ])
+      .toJSON()
+      .then(function(result) {
+        expect(result).to.eql([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+        expect(calls.roleDeterminerBatch).to.eql([ [ 1 ] ]);
+        expect(roleDeterminerCalls).to.equal(2);
+      })
+      .asCallback(done);
+    });
+    it('should reject a result that does not contain a role for each model', function(done) {
+      var BrokenTune = Tune.extend({}, {
+        roleDeterminerBatch: function() { return [ 'listener' ]; }
+      });
+      TuneCollection.forge([
+        BrokenTune.forge({ id: 1 }, { accessor: accessor }),
+        BrokenTune.forge({ id: 2 }, { accessor: accessor })
+      ])
+      .toJSON()
+      .catch(function(e) {
+        expect(e).to.be.a(SanityError);
+        expect(e.message).to.equal('roleDeterminerBatch for table tunes must return an array ' +
+          'containing the role(s) of each model passed to it');
+        done();
+      });
+    });
+  });
+  describe('invisibleModels', function() {
+    var forgeComments = function() {
+      return bookshelf.Collection.extend({ model: Comment }).forge([
+        Comment.forge({ id: 1, content: 'comment1' },
+          { accessor: { user: { id: stubs.users.elephant1.id } } }),
+        Comment.forge({ id: 2, content: 'comment2' },
+          { accessor: { user: { id: stubs.users.elephant1.id } } })
+      ]);
+    };
+    var options = {
+      contextDesignator: function(tableName, relationChain, id) {
+        return id === 1 ? 'hidden' : 'shown';
+      },
+      contextSpecificVisibleProperties: {
+        comments: {
+          hidden: [],
+          shown: [ 'id', 'content' ]
+        }
+      }
+    };
+
+    it('should keep the positions of invisible models in `null` mode', function(done) {
+      forgeComments().toJSON(_.extend({ invisibleModels: 'null' }, options)).then(function(result) {
+        expect(result).to.eql([ null, { id: 2, content: 'comment2' } ]);
+      })
+      .asCallback(done);
+    });
+    it('should keep the positions of invisible models in `stub` mode', function(done) {
+      forgeComments().toJSON(_.extend({ invisibleModels: 'stub' }, options)).then(function(result) {
+        expect(result).to.eql([ { id: 1 }, { id: 2, content: 'comment2' } ]);
+      })
+      .asCallback(done);
+    });
+  });
   describe('toJSON', function() {
     it('should return a promise of a serialization result', function(done) {
       var serializationResultPromise = bookshelf.Collection.extend({ model: Comment }).forge([
@@ -1605,4 +3989,288 @@ describe('Collection', function() {
       });
     });
   });
+  describe('toJSONStream', function() {
+    var inFlight;
+    var maxInFlight;
+    var Tune = bookshelf.Model.extend({
+      tableName: 'tunes',
+      roleDeterminer: function() {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return BluebirdPromise.delay(1).bind(this).then(function() {
+          inFlight--;
+          if (this.get('broken')) {
+            throw new Error('Broken tune');
+          }
+          return this.get('hidden') ? 'stranger' : 'listener';
+        });
+      },
+      rolesToVisibleProperties: {
+        listener: [ 'id', 'name' ],
+        stranger: []
+      }
+    });
+    var forgeTunes = function(count, extra) {
+      return Tune.collection(_.map(_.range(1, count + 1), function(id) {
+        return Tune.forge(_.extend({ id: id, name: 'Tune ' + id }, extra && extra[id]));
+      }));
+    };
+    var readStream = function(stream) {
+      return new BluebirdPromise(function(resolve, reject) {
+        var text = '';
+        stream.on('data', function(chunk) {
+          text += chunk;
+        });
+        stream.on('end', function() {
+          resolve(text);
+        });
+        stream.on('error', reject);
+      });
+    };
+    beforeEach(function() {
+      inFlight = 0;
+      maxInFlight = 0;
+    });
+
+    it('should stream the text of a JSON array, skipping invisible models', function(done) {
+      readStream(forgeTunes(3, { 2: { hidden: true } }).toJSONStream()).then(function(text) {
+        expect(JSON.parse(text)).to.eql([ { id: 1, name: 'Tune 1' }, { id: 3, name: 'Tune 3' } ]);
+      })
+      .asCallback(done);
+    });
+    it('should skip invisible models even when they would serialize to `null`', function(done) {
+      readStream(forgeTunes(2, { 1: { hidden: true } }).toJSONStream({ invisibleModels: 'null' }))
+      .then(function(text) {
+        expect(JSON.parse(text)).to.eql([ { id: 2, name: 'Tune 2' } ]);
+      })
+      .asCallback(done);
+    });
+    it('should stream NDJSON', function(done) {
+      readStream(forgeTunes(2).toJSONStream({ streamFormat: 'ndjson' })).then(function(text) {
+        expect(text).to.equal('{"id":1,"name":"Tune 1"}\n{"id":2,"name":"Tune 2"}\n');
+      })
+      .asCallback(done);
+    });
+    it('should stream an empty array for a collection with no visible models', function(done) {
+      readStream(forgeTunes(1, { 1: { hidden: true } }).toJSONStream()).then(function(text) {
+        expect(text).to.equal('[]');
+      })
+      .asCallback(done);
+    });
+    it('should serialize models with bounded concurrency, in order', function(done) {
+      readStream(forgeTunes(7).toJSONStream({ concurrency: 3 })).then(function(text) {
+        expect(_.pluck(JSON.parse(text), 'id')).to.eql([ 1, 2, 3, 4, 5, 6, 7 ]);
+        expect(maxInFlight).to.equal(3);
+      })
+      .asCallback(done);
+    });
+    it('should memoize roles only within each batch', function(done) {
+      var calls = 0;
+      var Artist = bookshelf.Model.extend({
+        tableName: 'artists',
+        roleDeterminer: function() {
+          calls++;
+          return 'listener';
+        },
+        rolesToVisibleProperties: {
+          listener: [ 'id' ]
+        }
+      });
+      var ArtistTune = Tune.extend({
+        rolesToVisibleProperties: {
+          listener: [ 'id', 'artist' ]
+        },
+        artist: function() {
+          return this.belongsTo(Artist);
+        }
+      });
+      var tunes = ArtistTune.collection(_.map([ 1, 2, 3 ], function(id) {
+        var tune = ArtistTune.forge({ id: id });
+        tune.relations.artist = Artist.forge({ id: 1 });
+        return tune;
+      }));
+
+      readStream(tunes.toJSONStream({ concurrency: 2 })).then(function(text) {
+        expect(_.pluck(JSON.parse(text), 'artist')).to.eql([ { id: 1 }, { id: 1 }, { id: 1 } ]);
+        expect(calls).to.equal(2);
+      })
+      .asCallback(done);
+    });
+    it('should apply the options passed to `toJSONStream` to the models', function(done) {
+      readStream(forgeTunes(2).toJSONStream({ contextSpecificVisibleProperties: { tunes: [ 'name' ] } }))
+      .then(function(text) {
+        expect(JSON.parse(text)).to.eql([ { name: 'Tune 1' }, { name: 'Tune 2' } ]);
+      })
+      .asCallback(done);
+    });
+    it('should emit an error when a model fails to serialize', function(done) {
+      readStream(forgeTunes(3, { 2: { broken: true } }).toJSONStream()).then(function() {
+        throw new Error('Expected rejection');
+      }, function(e) {
+        expect(e.message).to.equal('Broken tune');
+      })
+      .asCallback(done);
+    });
+    it('should throw for invalid options', function() {
+      var tunes = forgeTunes(1);
+      expect(function() {
+        tunes.toJSONStream({ format: 'jsonapi' });
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(SanityError);
+        expect(e.message).to.equal('toJSONStream does not support the explain option, or format options ' +
+          'other than nested');
+      });
+      expect(function() {
+        tunes.toJSONStream({ streamFormat: 'csv' });
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(SanityError);
+        expect(e.message).to.equal('streamFormat option must be one of: json, ndjson.');
+      });
+      expect(function() {
+        tunes.toJSONStream({ concurrency: 0 });
+      }).to.throwException(function(e) {
+        expect(e).to.be.a(SanityError);
+        expect(e.message).to.equal('concurrency option must be a positive integer');
+      });
+    });
+  });
+});
+
+describe('validateSerializationConfig', function() {
+  var sqliteKnex = require('knex')({ client: 'sqlite3', useNullAsDefault: true });
+  mockKnex.mock(sqliteKnex);
+
+  var columnsByTable = {
+    users: [ 'id', 'username', 'email', 'created_at', 'updated_at' ],
+    groups: [ 'id', 'name', 'created_at' ],
+    comments: [ 'id', 'content', 'parent_id', 'author_id' ]
+  };
+
+  var tracker = mockKnex.getTracker();
+  before(function() {
+    tracker.install();
+    tracker.on('query', function sendResult(query) {
+      var tableName = query.sql.match(/^PRAGMA table_info\((\w+)\)$/)[1];
+      query.response(_.map(columnsByTable[tableName], function(column) {
+        return { name: column, type: 'varchar', notnull: 0, dflt_value: null };
+      }));
+    });
+  });
+  after(function() {
+    tracker.uninstall();
+  });
+
+  it('should reject being called when the registry plugin is not in use', function() {
+    var bookshelf = require('bookshelf')(sqliteKnex);
+    bookshelf.plugin(plugin());
+
+    expect(function() {
+      bookshelf.validateSerializationConfig();
+    }).to.throwException(function(e) {
+      expect(e).to.be.a(SanityError);
+      expect(e.message).to.equal('validateSerializationConfig requires the registry plugin.');
+    });
+  });
+  it('should resolve to no problems for models whose config matches the schema', function(done) {
+    var bookshelf = require('bookshelf')(sqliteKnex);
+    bookshelf.plugin('registry');
+    bookshelf.plugin(plugin());
+    require('../examples/rest-api/Comment.js')(bookshelf);
+
+    bookshelf.validateSerializationConfig().then(function(problems) {
+      expect(problems).to.eql([]);
+    })
+    .asCallback(done);
+  });
+  it('should report unknown properties and relations no role can see', function(done) {
+    var bookshelf = require('bookshelf')(sqliteKnex);
+    bookshelf.plugin('registry');
+    bookshelf.plugin(plugin());
+    bookshelf.model('Group', bookshelf.Model.extend({
+      tableName: 'groups',
+      roleDeterminer: function() { return 'anyone'; },
+      rolesToVisibleProperties: {
+        anyone: [ 'id', 'nmae' ]
+      },
+      members: function() {
+        return this.belongsToMany('Group');
+      }
+    }));
+
+    bookshelf.validateSerializationConfig().then(function(problems) {
+      expect(problems).to.eql([
+        {
+          type: 'unknownProperty',
+          model: 'Group',
+          tableName: 'groups',
+          role: 'anyone',
+          property: 'nmae',
+          message: 'rolesToVisibleProperties.anyone for table groups lists a property that is ' +
+            'neither a column nor a relation: nmae'
+        },
+        {
+          type: 'invisibleRelation',
+          model: 'Group',
+          tableName: 'groups',
+          property: 'members',
+          message: 'Relation members of table groups is not visible to any role'
+        }
+      ]);
+    })
+    .asCallback(done);
+  });
+  it('should not call methods that are neither listed for a role nor declared as relations', function(done) {
+    var bookshelf = require('bookshelf')(sqliteKnex);
+    bookshelf.plugin('registry');
+    bookshelf.plugin(plugin());
+    var calls = 0;
+    bookshelf.model('Group', bookshelf.Model.extend({
+      tableName: 'groups',
+      roleDeterminer: function() { return 'anyone'; },
+      rolesToVisibleProperties: {
+        anyone: [ 'id', 'name', 'members' ]
+      },
+      members: function() {
+        return this.belongsToMany('Group');
+      },
+      markAllRead: function() {
+        calls++;
+      },
+      membersWithRole: function(role) {
+        calls++;
+        return this.belongsToMany('Group').query({ where: { role: role } });
+      }
+    }));
+
+    bookshelf.validateSerializationConfig().then(function(problems) {
+      expect(problems).to.eql([]);
+      expect(calls).to.equal(0);
+    })
+    .asCallback(done);
+  });
+  it('should report declared relations no role can see when they do not build their relations themselves', function(done) {
+    var bookshelf = require('bookshelf')(sqliteKnex);
+    bookshelf.plugin('registry');
+    bookshelf.plugin(plugin());
+    var membersOf = function(model) {
+      return model.belongsToMany('Group');
+    };
+    bookshelf.model('Group', bookshelf.Model.extend({
+      tableName: 'groups',
+      roleDeterminer: function() { return 'anyone'; },
+      rolesToVisibleProperties: {
+        anyone: [ 'id', 'name' ]
+      },
+      members: function() {
+        return membersOf(this);
+      }
+    }, {
+      relationNames: [ 'members' ]
+    }));
+
+    bookshelf.validateSerializationConfig().then(function(problems) {
+      expect(_.pluck(problems, 'property')).to.eql([ 'members' ]);
+    })
+    .asCallback(done);
+  });
 });